@@ -1,25 +1,71 @@
-import React from 'react'
+import React, { useEffect, useState } from 'react'
 import Navbar from './components/Navbar/Navbar'
 import Sidebar from './components/Sidebar/Sidebar'
-import { Route, Routes } from 'react-router-dom'
+import { Navigate, Route, Routes } from 'react-router-dom'
 import Add from './pages/Add/Add'
 import List from './pages/List/List'
 import Orders from './pages/Orders/Orders'
-import { ToastContainer } from 'react-toastify';
+import Login from './pages/Login/Login'
+import Security from './pages/Security/Security'
+import Categories from './pages/Categories/Categories'
+import Import from './pages/Import/Import'
+import Reviews from './pages/Reviews/Reviews'
+import Coupons from './pages/Coupons/Coupons'
+import { ToastContainer, toast } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
+import { clearToken, getRefreshToken, getToken, isTokenExpired, logoutSession, setUnauthorizedHandler } from './utils/api'
 
 const App = () => {
+
+  const [token, setToken] = useState(() => {
+    const stored = getToken();
+    // an expired token is still fine as long as it can be refreshed
+    return stored && (!isTokenExpired(stored) || getRefreshToken()) ? stored : "";
+  });
+
+  const logout = async () => {
+    setToken("");
+    await logoutSession();
+  }
+
+  useEffect(() => {
+    setUnauthorizedHandler(() => {
+      clearToken();
+      setToken("");
+      toast.error("Session expired, please login again")
+    })
+  }, [])
+
+  if (!token) {
+    return (
+      <div className='app'>
+        <ToastContainer/>
+        <Routes>
+          <Route path="/login" element={<Login setToken={setToken}/>}/>
+          <Route path="*" element={<Navigate to="/login" replace/>}/>
+        </Routes>
+      </div>
+    )
+  }
+
   return (
     <div className='app'>
       <ToastContainer/>
-      <Navbar/>
+      <Navbar logout={logout}/>
       <hr />
       <div className="app-content">
         <Sidebar/>
         <Routes>
+          <Route path="/login" element={<Navigate to="/add" replace/>}/>
           <Route path="/add" element={<Add/>}/>
+          <Route path="/edit/:id" element={<Add key="edit"/>}/>
           <Route path="/list" element={<List/>}/>
+          <Route path="/import" element={<Import/>}/>
+          <Route path="/categories" element={<Categories/>}/>
           <Route path="/orders" element={<Orders/>}/>
+          <Route path="/reviews" element={<Reviews/>}/>
+          <Route path="/coupons" element={<Coupons/>}/>
+          <Route path="/security" element={<Security/>}/>
         </Routes>
       </div>
     </div>
@@ -15,3 +15,25 @@ export const assets ={
 }
 
 export const url = 'https://tomato-food-del-backend-p1ni.onrender.com'
+
+// keep in step with the enums of the backend food model
+export const dietary_tags = [
+    { value: "vegetarian", label: "Vegetarian" },
+    { value: "vegan", label: "Vegan" },
+    { value: "gluten-free", label: "Gluten free" },
+    { value: "dairy-free", label: "Dairy free" },
+    { value: "halal", label: "Halal" },
+    { value: "spicy", label: "Spicy" }
+]
+
+export const allergen_list = [
+    { value: "gluten", label: "Gluten" },
+    { value: "dairy", label: "Dairy" },
+    { value: "eggs", label: "Eggs" },
+    { value: "nuts", label: "Nuts" },
+    { value: "peanuts", label: "Peanuts" },
+    { value: "soy", label: "Soy" },
+    { value: "fish", label: "Fish" },
+    { value: "shellfish", label: "Shellfish" },
+    { value: "sesame", label: "Sesame" }
+]
@@ -1,14 +1,22 @@
 import React from 'react'
+import PropTypes from 'prop-types'
 import './Navbar.css'
 import { assets } from '../../assets/assets'
 
-const Navbar = () => {
+const Navbar = ({ logout }) => {
   return (
     <div className='navbar'>
       <img className='logo' src={assets.logo} alt="" />
-      <img className='profile' src={assets.profile_image} alt="" />
+      <div className='navbar-right'>
+        <img className='profile' src={assets.profile_image} alt="" />
+        <button onClick={logout}>Logout</button>
+      </div>
     </div>
   )
 }
 
+Navbar.propTypes = {
+  logout: PropTypes.func.isRequired
+}
+
 export default Navbar
@@ -0,0 +1,69 @@
+import PropTypes from 'prop-types'
+import './OptionGroupsEditor.css'
+
+// existing groups & options keep their _id so carts and orders still match after an edit
+const emptyOption = () => ({ name: "", priceDelta: 0 });
+const emptyGroup = () => ({ name: "", required: false, minSelect: 0, maxSelect: 1, options: [emptyOption()] });
+
+const OptionGroupsEditor = ({ groups, setGroups }) => {
+
+    const updateGroup = (index, changes) => {
+        setGroups(groups => groups.map((group, i) => i === index ? { ...group, ...changes } : group))
+    }
+
+    const updateOption = (groupIndex, optionIndex, changes) => {
+        const options = groups[groupIndex].options.map((option, i) => i === optionIndex ? { ...option, ...changes } : option);
+        updateGroup(groupIndex, { options });
+    }
+
+    const removeOption = (groupIndex, optionIndex) => {
+        updateGroup(groupIndex, { options: groups[groupIndex].options.filter((_, i) => i !== optionIndex) });
+    }
+
+    return (
+        <div className='option-groups flex-col'>
+            <p>Option groups</p>
+            {groups.map((group, groupIndex) => (
+                <div key={group._id || groupIndex} className='option-group flex-col'>
+                    <div className='option-group-header'>
+                        <input type="text" value={group.name} onChange={(e) => updateGroup(groupIndex, { name: e.target.value })} placeholder='Group name, e.g. Size' required />
+                        <label>
+                            <input type="checkbox" checked={group.required} onChange={(e) => updateGroup(groupIndex, { required: e.target.checked })} />
+                            Required
+                        </label>
+                        <label>
+                            Min
+                            <input type="Number" min="0" value={group.minSelect} onChange={(e) => updateGroup(groupIndex, { minSelect: Number(e.target.value) })} />
+                        </label>
+                        <label>
+                            Max
+                            <input type="Number" min="1" value={group.maxSelect} onChange={(e) => updateGroup(groupIndex, { maxSelect: Number(e.target.value) })} />
+                        </label>
+                        <p className='cursor' onClick={() => setGroups(groups => groups.filter((_, i) => i !== groupIndex))}>Remove group</p>
+                    </div>
+                    {group.options.map((option, optionIndex) => (
+                        <div key={option._id || optionIndex} className='option-group-option'>
+                            <input type="text" value={option.name} onChange={(e) => updateOption(groupIndex, optionIndex, { name: e.target.value })} placeholder='Option, e.g. Large' required />
+                            <input type="Number" step="0.01" value={option.priceDelta} onChange={(e) => updateOption(groupIndex, optionIndex, { priceDelta: Number(e.target.value) })} placeholder='+$0' />
+                            {group.options.length > 1
+                                ? <p className='cursor' onClick={() => removeOption(groupIndex, optionIndex)}>x</p>
+                                : <></>
+                            }
+                        </div>
+                    ))}
+                    <p className='cursor option-group-add' onClick={() => updateGroup(groupIndex, { options: [...group.options, emptyOption()] })}>+ Add option</p>
+                </div>
+            ))}
+            <p className='cursor option-group-add' onClick={() => setGroups(groups => [...groups, emptyGroup()])}>+ Add option group</p>
+        </div>
+    )
+}
+
+OptionGroupsEditor.propTypes = {
+    groups: PropTypes.arrayOf(PropTypes.shape({
+        options: PropTypes.array.isRequired
+    })).isRequired,
+    setGroups: PropTypes.func.isRequired
+}
+
+export default OptionGroupsEditor
@@ -0,0 +1,53 @@
+import PropTypes from 'prop-types'
+import './ScheduleEditor.css'
+
+// availability windows in the store time zone, no window means always available
+const weekdays = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const emptyWindow = () => ({ days: [1, 2, 3, 4, 5], start: "07:00", end: "11:00" });
+
+const ScheduleEditor = ({ schedule, setSchedule, title = "Serving hours" }) => {
+
+    const updateWindow = (index, changes) => {
+        setSchedule(schedule => schedule.map((window, i) => i === index ? { ...window, ...changes } : window))
+    }
+
+    const toggleDay = (index, day) => {
+        const days = schedule[index].days;
+        updateWindow(index, { days: days.includes(day) ? days.filter((entry) => entry !== day) : [...days, day].sort((a, b) => a - b) });
+    }
+
+    return (
+        <div className='schedule-editor flex-col'>
+            <p>{title}</p>
+            {schedule.length === 0 ? <p className='schedule-editor-hint'>Always available</p> : <></>}
+            {schedule.map((window, index) => (
+                <div key={index} className='schedule-window'>
+                    <div className='schedule-window-days'>
+                        {weekdays.map((label, day) => (
+                            <label key={day}>
+                                <input type="checkbox" checked={window.days.includes(day)} onChange={() => toggleDay(index, day)} />
+                                {label}
+                            </label>
+                        ))}
+                    </div>
+                    <input type="time" value={window.start} onChange={(e) => updateWindow(index, { start: e.target.value })} required />
+                    <span>to</span>
+                    <input type="time" value={window.end} onChange={(e) => updateWindow(index, { end: e.target.value })} required />
+                    <p className='cursor' onClick={() => setSchedule(schedule => schedule.filter((_, i) => i !== index))}>x</p>
+                </div>
+            ))}
+            <p className='cursor schedule-editor-add' onClick={() => setSchedule(schedule => [...schedule, emptyWindow()])}>+ Add time window</p>
+            {schedule.length > 0 ? <p className='schedule-editor-hint'>A window ending before it starts runs past midnight.</p> : <></>}
+        </div>
+    )
+}
+
+ScheduleEditor.propTypes = {
+    schedule: PropTypes.arrayOf(PropTypes.shape({
+        days: PropTypes.arrayOf(PropTypes.number).isRequired
+    })).isRequired,
+    setSchedule: PropTypes.func.isRequired,
+    title: PropTypes.string
+}
+
+export default ScheduleEditor
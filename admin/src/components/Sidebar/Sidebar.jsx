@@ -15,10 +15,30 @@ const Sidebar = () => {
             <img src={assets.order_icon} alt="" />
             <p>List Items</p>
         </NavLink>
+        <NavLink to='/import' className="sidebar-option">
+            <img src={assets.add_icon} alt="" />
+            <p>Import / Export</p>
+        </NavLink>
+        <NavLink to='/categories' className="sidebar-option">
+            <img src={assets.order_icon} alt="" />
+            <p>Categories</p>
+        </NavLink>
         <NavLink to='/orders' className="sidebar-option">
             <img src={assets.order_icon} alt="" />
             <p>Orders</p>
         </NavLink>
+        <NavLink to='/reviews' className="sidebar-option">
+            <img src={assets.order_icon} alt="" />
+            <p>Reviews</p>
+        </NavLink>
+        <NavLink to='/coupons' className="sidebar-option">
+            <img src={assets.order_icon} alt="" />
+            <p>Coupons</p>
+        </NavLink>
+        <NavLink to='/security' className="sidebar-option">
+            <img src={assets.profile_image} alt="" />
+            <p>Security</p>
+        </NavLink>
       </div>
     </div>
   )
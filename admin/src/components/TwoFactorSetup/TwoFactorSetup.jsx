@@ -0,0 +1,75 @@
+import { useCallback, useEffect, useMemo, useState } from 'react'
+import PropTypes from 'prop-types'
+import './TwoFactorSetup.css'
+import { toast } from 'react-toastify'
+import api from '../../utils/api'
+
+// Enrolls the user in 2FA: shows the QR code, confirms a first code and then the recovery codes.
+// setupToken is the short-lived token admins get at login while they have no 2FA yet.
+const TwoFactorSetup = ({ setupToken, onDone }) => {
+
+    const [setup, setSetup] = useState(null);
+    const [code, setCode] = useState("");
+    const [result, setResult] = useState(null);
+
+    const headers = useMemo(() => setupToken ? { token: setupToken } : {}, [setupToken]);
+
+    const startSetup = useCallback(async () => {
+        const response = await api.post("/api/user/2fa/setup", {}, { headers });
+        if (response.data.success) {
+            setSetup(response.data);
+        }
+        else {
+            toast.error(response.data.message)
+        }
+    }, [headers])
+
+    const onSubmit = async (e) => {
+        e.preventDefault()
+        const response = await api.post("/api/user/2fa/enable", { code }, { headers });
+        if (response.data.success) {
+            setResult(response.data);
+        }
+        else {
+            toast.error(response.data.message)
+        }
+    }
+
+    useEffect(() => {
+        startSetup();
+    }, [startSetup])
+
+    if (result) {
+        return (
+            <div className='two-factor-setup flex-col'>
+                <p>Two-factor authentication is on. Save these recovery codes somewhere safe, each one can be used once if you lose your device.</p>
+                <ul className='two-factor-codes'>
+                    {result.recoveryCodes.map((recoveryCode) => <li key={recoveryCode}>{recoveryCode}</li>)}
+                </ul>
+                <button type='button' onClick={() => onDone(result)}>I saved my codes</button>
+            </div>
+        )
+    }
+
+    return (
+        <form onSubmit={onSubmit} className='two-factor-setup flex-col'>
+            <p>Scan this QR code with your authenticator app, then enter the 6-digit code it shows.</p>
+            {setup
+                ? <>
+                    <img className='two-factor-qr' src={setup.qrCode} alt="" />
+                    <p className='two-factor-secret'>Or enter this key: <b>{setup.secret}</b></p>
+                </>
+                : <p>Loading...</p>
+            }
+            <input value={code} onChange={(e) => setCode(e.target.value)} type="text" autoComplete='one-time-code' placeholder='Authentication code' required />
+            <button type='submit'>Enable</button>
+        </form>
+    )
+}
+
+TwoFactorSetup.propTypes = {
+    setupToken: PropTypes.string,
+    onDone: PropTypes.func.isRequired
+}
+
+export default TwoFactorSetup
@@ -1,37 +1,127 @@
-import React, { useState } from 'react'
+import React, { useCallback, useEffect, useState } from 'react'
 import './Add.css'
-import { assets,url } from '../../assets/assets';
-import axios from 'axios';
+import { allergen_list, assets, dietary_tags } from '../../assets/assets';
+import api from '../../utils/api';
 import { toast } from 'react-toastify';
+import { useNavigate, useParams } from 'react-router-dom';
+import OptionGroupsEditor from '../../components/OptionGroupsEditor/OptionGroupsEditor';
+import ScheduleEditor from '../../components/ScheduleEditor/ScheduleEditor';
 
+const emptyNutrition = { calories: "", protein: "", carbs: "", fat: "" };
+
+// Add page, also used to edit an item when opened as /edit/:id
 const Add = () => {
 
+    const { id } = useParams();
+    const navigate = useNavigate();
+
     const [data, setData] = useState({
+        sku: "",
         name: "",
         description: "",
         price: "",
-        category: "Salad"
+        category: "",
+        available: true,
+        stock: ""
     });
 
+    const [optionGroups, setOptionGroups] = useState([]);
+    const [dietaryTags, setDietaryTags] = useState([]);
+    const [allergens, setAllergens] = useState([]);
+    const [nutrition, setNutrition] = useState(emptyNutrition);
+    const [schedule, setSchedule] = useState([]);
     const [image, setImage] = useState(false);
+    const [currentImage, setCurrentImage] = useState("");
+    const [categories, setCategories] = useState([]);
+
+    const fetchCategories = async () => {
+        const response = await api.get("/api/category/admin/list");
+        if (response.data.success) {
+            setCategories(response.data.data);
+            // new items start in the first category
+            setData(data => data.category ? data : { ...data, category: response.data.data[0]?.name || "" })
+        }
+        else {
+            toast.error("Error")
+        }
+    }
+
+    const fetchFood = useCallback(async () => {
+        const response = await api.get("/api/food/item/" + id);
+        if (response.data.success) {
+            const food = response.data.data;
+            setData({
+                sku: food.sku || "",
+                name: food.name,
+                description: food.description,
+                price: food.price,
+                category: food.category,
+                available: food.available !== false,
+                stock: food.stock ?? ""
+            })
+            setOptionGroups(food.optionGroups || []);
+            setDietaryTags(food.dietaryTags || []);
+            setAllergens(food.allergens || []);
+            setNutrition(Object.fromEntries(Object.keys(emptyNutrition).map((field) => [field, food.nutrition?.[field] ?? ""])));
+            setSchedule(food.schedule || []);
+            setCurrentImage(food.imageUrl);
+        }
+        else {
+            toast.error(response.data.message)
+            navigate('/list')
+        }
+    }, [id, navigate])
+
+    useEffect(() => {
+        fetchCategories();
+        if (id) {
+            fetchFood();
+        }
+    }, [id, fetchFood])
 
     const onSubmitHandler = async (event) => {
         event.preventDefault();
         const formData = new FormData();
+        formData.append("sku", data.sku);
         formData.append("name", data.name);
         formData.append("description", data.description);
         formData.append("price", Number(data.price));
         formData.append("category", data.category);
-        formData.append("image", image);
-        const response = await axios.post(`${url}/api/food/add`, formData);
+        formData.append("available", data.available);
+        // left empty the stock isn't tracked
+        formData.append("stock", data.stock);
+        formData.append("optionGroups", JSON.stringify(optionGroups));
+        formData.append("dietaryTags", JSON.stringify(dietaryTags));
+        formData.append("allergens", JSON.stringify(allergens));
+        formData.append("nutrition", JSON.stringify(nutrition));
+        formData.append("schedule", JSON.stringify(schedule));
+        if (image) {
+            formData.append("image", image);
+        }
+        if (id) {
+            formData.append("id", id);
+        }
+        const response = await api.post(id ? "/api/food/update" : "/api/food/add", formData);
         if (response.data.success) {
             toast.success(response.data.message)
-            setData({
+            if (id) {
+                navigate('/list')
+                return;
+            }
+            setData(data => ({
+                sku: "",
                 name: "",
                 description: "",
                 price: "",
-                category: "Salad"
-            })
+                category: data.category,
+                available: true,
+                stock: ""
+            }))
+            setOptionGroups([]);
+            setDietaryTags([]);
+            setAllergens([]);
+            setNutrition(emptyNutrition);
+            setSchedule([]);
             setImage(false);
         }
         else{
@@ -39,6 +129,17 @@ const Add = () => {
         }
     }
 
+    const imagePreview = () => {
+        if (image) {
+            return URL.createObjectURL(image);
+        }
+        return currentImage || assets.upload_area;
+    }
+
+    const toggle = (setList, value) => {
+        setList(list => list.includes(value) ? list.filter((entry) => entry !== value) : [...list, value])
+    }
+
     const onChangeHandler = (event) => {
         const name = event.target.name;
         const value = event.target.value;
@@ -51,14 +152,18 @@ const Add = () => {
                 <div className='add-img-upload flex-col'>
                     <p>Upload image</p>
                     <label htmlFor="image">
-                        <img src={!image ? assets.upload_area : URL.createObjectURL(image)} alt="" />
+                        <img src={imagePreview()} alt="" />
                     </label>
-                    <input onChange={(e) => { setImage(e.target.files[0]) }} type="file" id="image" hidden required />
+                    <input onChange={(e) => { setImage(e.target.files[0]) }} type="file" accept="image/jpeg,image/png,image/webp" id="image" hidden required={!id} />
                 </div>
                 <div className='add-product-name flex-col'>
                     <p>Product name</p>
                     <input name='name' onChange={onChangeHandler} value={data.name} type="text" placeholder='Type here' required />
                 </div>
+                <div className='add-product-name flex-col'>
+                    <p>SKU</p>
+                    <input name='sku' onChange={onChangeHandler} value={data.sku} type="text" placeholder='Optional, used by the menu import' />
+                </div>
                 <div className='add-product-description flex-col'>
                     <p>Product description</p>
                     <textarea name='description' onChange={onChangeHandler} value={data.description} type="text" rows={6} placeholder='Write content here' required />
@@ -66,15 +171,10 @@ const Add = () => {
                 <div className='add-category-price'>
                     <div className='add-category flex-col'>
                         <p>Product category</p>
-                        <select name='category' onChange={onChangeHandler} >
-                            <option value="Salad">Salad</option>
-                            <option value="Rolls">Rolls</option>
-                            <option value="Deserts">Deserts</option>
-                            <option value="Sandwich">Sandwich</option>
-                            <option value="Cake">Cake</option>
-                            <option value="Pure Veg">Pure Veg</option>
-                            <option value="Pasta">Pasta</option>
-                            <option value="Noodles">Noodles</option>
+                        <select name='category' onChange={onChangeHandler} value={data.category} required >
+                            {categories.map((category) => (
+                                <option key={category._id} value={category.name}>{category.name}{category.active ? "" : " (inactive)"}</option>
+                            ))}
                         </select>
                     </div>
                     <div className='add-price flex-col'>
@@ -82,7 +182,49 @@ const Add = () => {
                         <input type="Number" name='price' onChange={onChangeHandler} value={data.price} placeholder='$25' />
                     </div>
                 </div>
-                <button type='submit' className='add-btn' >ADD</button>
+                <div className='add-inventory'>
+                    <div className='add-stock flex-col'>
+                        <p>Stock</p>
+                        <input type="Number" min="0" name='stock' onChange={onChangeHandler} value={data.stock} placeholder='Not tracked' />
+                    </div>
+                    <label className='add-available'>
+                        <input type="checkbox" checked={data.available} onChange={(e) => setData(data => ({ ...data, available: e.target.checked }))} />
+                        Available to order
+                    </label>
+                </div>
+                <div className='add-attributes flex-col'>
+                    <p>Dietary tags</p>
+                    <div className='add-checkboxes'>
+                        {dietary_tags.map((tag) => (
+                            <label key={tag.value}>
+                                <input type="checkbox" checked={dietaryTags.includes(tag.value)} onChange={() => toggle(setDietaryTags, tag.value)} />
+                                {tag.label}
+                            </label>
+                        ))}
+                    </div>
+                </div>
+                <div className='add-attributes flex-col'>
+                    <p>Allergens</p>
+                    <div className='add-checkboxes'>
+                        {allergen_list.map((allergen) => (
+                            <label key={allergen.value}>
+                                <input type="checkbox" checked={allergens.includes(allergen.value)} onChange={() => toggle(setAllergens, allergen.value)} />
+                                {allergen.label}
+                            </label>
+                        ))}
+                    </div>
+                </div>
+                <div className='add-nutrition'>
+                    {[["calories", "Calories (kcal)"], ["protein", "Protein (g)"], ["carbs", "Carbs (g)"], ["fat", "Fat (g)"]].map(([field, label]) => (
+                        <div key={field} className='flex-col'>
+                            <p>{label}</p>
+                            <input type="Number" min="0" step="any" value={nutrition[field]} onChange={(e) => setNutrition(nutrition => ({ ...nutrition, [field]: e.target.value }))} />
+                        </div>
+                    ))}
+                </div>
+                <ScheduleEditor schedule={schedule} setSchedule={setSchedule} />
+                <OptionGroupsEditor groups={optionGroups} setGroups={setOptionGroups} />
+                <button type='submit' className='add-btn' >{id ? "UPDATE" : "ADD"}</button>
             </form>
         </div>
     )
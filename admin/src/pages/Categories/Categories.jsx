@@ -0,0 +1,165 @@
+import { useEffect, useState } from 'react'
+import './Categories.css'
+import { assets } from '../../assets/assets'
+import api from '../../utils/api';
+import { toast } from 'react-toastify';
+import ScheduleEditor from '../../components/ScheduleEditor/ScheduleEditor';
+
+const emptyForm = {
+  id: "",
+  name: "",
+  sortOrder: 0,
+  active: true
+}
+
+const Categories = () => {
+
+  const [list, setList] = useState([]);
+  const [data, setData] = useState(emptyForm);
+  const [image, setImage] = useState(false);
+  const [currentImage, setCurrentImage] = useState("");
+  const [schedule, setSchedule] = useState([]);
+
+  const fetchList = async () => {
+    const response = await api.get("/api/category/admin/list")
+    if (response.data.success) {
+      setList(response.data.data);
+    }
+    else {
+      toast.error("Error")
+    }
+  }
+
+  const resetForm = () => {
+    setData(emptyForm);
+    setImage(false);
+    setCurrentImage("");
+    setSchedule([]);
+  }
+
+  const editCategory = (category) => {
+    setData({
+      id: category._id,
+      name: category.name,
+      sortOrder: category.sortOrder,
+      active: category.active
+    })
+    setImage(false);
+    setCurrentImage(category.imageUrl);
+    setSchedule(category.schedule || []);
+  }
+
+  const onSubmitHandler = async (event) => {
+    event.preventDefault();
+    const formData = new FormData();
+    formData.append("name", data.name);
+    formData.append("sortOrder", Number(data.sortOrder));
+    formData.append("active", data.active);
+    formData.append("schedule", JSON.stringify(schedule));
+    if (image) {
+      formData.append("image", image);
+    }
+    if (data.id) {
+      formData.append("id", data.id);
+    }
+    const response = await api.post(data.id ? "/api/category/update" : "/api/category/add", formData);
+    if (response.data.success) {
+      toast.success(response.data.message)
+      resetForm();
+      await fetchList();
+    }
+    else {
+      toast.error(response.data.message)
+    }
+  }
+
+  const toggleActive = async (category) => {
+    const response = await api.post("/api/category/update", { id: category._id, active: !category.active })
+    if (response.data.success) {
+      await fetchList();
+    }
+    else {
+      toast.error(response.data.message)
+    }
+  }
+
+  const removeCategory = async (categoryId) => {
+    const response = await api.post("/api/category/remove", { id: categoryId })
+    await fetchList();
+    if (response.data.success) {
+      toast.success(response.data.message);
+    }
+    else {
+      toast.error(response.data.message)
+    }
+  }
+
+  const onChangeHandler = (event) => {
+    const name = event.target.name;
+    const value = event.target.type === "checkbox" ? event.target.checked : event.target.value;
+    setData(data => ({ ...data, [name]: value }))
+  }
+
+  const imagePreview = () => {
+    if (image) {
+      return URL.createObjectURL(image);
+    }
+    return currentImage || assets.upload_area;
+  }
+
+  useEffect(() => {
+    fetchList();
+  }, [])
+
+  return (
+    <div className='categories add flex-col'>
+      <form className='categories-form' onSubmit={onSubmitHandler}>
+        <label htmlFor="category-image">
+          <img src={imagePreview()} alt="" />
+        </label>
+        <input onChange={(e) => { setImage(e.target.files[0]) }} type="file" accept="image/jpeg,image/png,image/webp" id="category-image" hidden required={!data.id} />
+        <div className='flex-col'>
+          <p>Category name</p>
+          <input name='name' onChange={onChangeHandler} value={data.name} type="text" placeholder='Type here' required />
+        </div>
+        <div className='flex-col'>
+          <p>Sort order</p>
+          <input name='sortOrder' onChange={onChangeHandler} value={data.sortOrder} type="number" />
+        </div>
+        <label className='categories-active'>
+          <input name='active' onChange={onChangeHandler} checked={data.active} type="checkbox" />
+          <p>Active</p>
+        </label>
+        <ScheduleEditor schedule={schedule} setSchedule={setSchedule} title="Serving hours of the whole category" />
+        <button type='submit' className='add-btn'>{data.id ? "UPDATE" : "ADD"}</button>
+        {data.id ? <p className='cursor' onClick={resetForm}>Cancel</p> : <></>}
+      </form>
+      <p>All Categories</p>
+      <div className='list-table'>
+        <div className="categories-table-format title">
+          <b>Image</b>
+          <b>Name</b>
+          <b>Order</b>
+          <b>Status</b>
+          <b>Action</b>
+        </div>
+        {list.map((item) => {
+          return (
+            <div key={item._id} className='categories-table-format'>
+              <img src={item.imageUrl} alt="" />
+              <p>{item.name}</p>
+              <p>{item.sortOrder}</p>
+              <p className='cursor' onClick={() => toggleActive(item)}>{item.active ? "Active" : "Inactive"}</p>
+              <div className='list-actions'>
+                <p className='cursor' onClick={() => editCategory(item)}>Edit</p>
+                <p className='cursor' onClick={() => removeCategory(item._id)}>x</p>
+              </div>
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default Categories
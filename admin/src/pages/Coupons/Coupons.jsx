@@ -0,0 +1,246 @@
+import { useEffect, useState } from 'react'
+import './Coupons.css'
+import api, { isAdmin } from '../../utils/api';
+import { toast } from 'react-toastify';
+
+const couponTypes = [
+  { value: "percentage", label: "Percentage off" },
+  { value: "fixed", label: "Fixed amount off" },
+  { value: "free_delivery", label: "Free delivery" }
+]
+
+const emptyForm = {
+  id: "",
+  code: "",
+  description: "",
+  type: "percentage",
+  value: "",
+  minOrder: "",
+  expiresAt: "",
+  usageLimit: "",
+  perUserLimit: "",
+  active: true
+}
+
+const describeDiscount = (coupon) => {
+  if (coupon.type === "free_delivery") {
+    return "Free delivery";
+  }
+  return coupon.type === "percentage" ? `${coupon.value}% off` : `$${coupon.value} off`;
+}
+
+const Coupons = () => {
+
+  const [list, setList] = useState([]);
+  const [data, setData] = useState(emptyForm);
+  const [categories, setCategories] = useState([]);
+  const [items, setItems] = useState([]);
+  const [foods, setFoods] = useState([]);
+  const [categoryList, setCategoryList] = useState([]);
+
+  const fetchList = async () => {
+    const response = await api.get("/api/coupon/list")
+    if (response.data.success) {
+      setList(response.data.data);
+    }
+    else {
+      toast.error("Error")
+    }
+  }
+
+  // categories & items a coupon can be limited to
+  const fetchScope = async () => {
+    const [categoryResponse, foodResponse] = await Promise.all([
+      api.get("/api/category/admin/list"),
+      api.get("/api/food/admin/list")
+    ]);
+    if (categoryResponse.data.success) {
+      setCategoryList(categoryResponse.data.data);
+    }
+    if (foodResponse.data.success) {
+      setFoods(foodResponse.data.data);
+    }
+  }
+
+  const resetForm = () => {
+    setData(emptyForm);
+    setCategories([]);
+    setItems([]);
+  }
+
+  const editCoupon = (coupon) => {
+    setData({
+      id: coupon._id,
+      code: coupon.code,
+      description: coupon.description,
+      type: coupon.type,
+      value: coupon.value,
+      minOrder: coupon.minOrder || "",
+      expiresAt: coupon.expiresAt ? coupon.expiresAt.slice(0, 10) : "",
+      usageLimit: coupon.usageLimit ?? "",
+      perUserLimit: coupon.perUserLimit ?? "",
+      active: coupon.active
+    })
+    setCategories(coupon.categories);
+    setItems(coupon.items);
+  }
+
+  const onSubmitHandler = async (event) => {
+    event.preventDefault();
+    const payload = {
+      ...data,
+      // the code stops working at the end of the chosen day
+      expiresAt: data.expiresAt ? new Date(data.expiresAt + "T23:59:59").toISOString() : "",
+      categories,
+      items
+    }
+    const response = await api.post(data.id ? "/api/coupon/update" : "/api/coupon/add", payload);
+    if (response.data.success) {
+      toast.success(response.data.message)
+      resetForm();
+      await fetchList();
+    }
+    else {
+      toast.error(response.data.message)
+    }
+  }
+
+  const toggleActive = async (coupon) => {
+    const response = await api.post("/api/coupon/update", { id: coupon._id, active: !coupon.active })
+    if (response.data.success) {
+      await fetchList();
+    }
+    else {
+      toast.error(response.data.message)
+    }
+  }
+
+  const removeCoupon = async (couponId) => {
+    const response = await api.post("/api/coupon/remove", { id: couponId })
+    await fetchList();
+    if (response.data.success) {
+      toast.success(response.data.message);
+    }
+    else {
+      toast.error(response.data.message)
+    }
+  }
+
+  const onChangeHandler = (event) => {
+    const name = event.target.name;
+    const value = event.target.type === "checkbox" ? event.target.checked : event.target.value;
+    setData(data => ({ ...data, [name]: value }))
+  }
+
+  const toggleCategory = (name) => {
+    setCategories(categories => categories.includes(name) ? categories.filter((entry) => entry !== name) : [...categories, name])
+  }
+
+  useEffect(() => {
+    fetchList();
+    fetchScope();
+  }, [])
+
+  return (
+    <div className='coupons add flex-col'>
+      <form className='coupons-form flex-col' onSubmit={onSubmitHandler}>
+        <div className='coupons-form-row'>
+          <div className='flex-col'>
+            <p>Code</p>
+            <input name='code' onChange={onChangeHandler} value={data.code} type="text" placeholder='SAVE10' required />
+          </div>
+          <div className='flex-col'>
+            <p>Type</p>
+            <select name='type' onChange={onChangeHandler} value={data.type}>
+              {couponTypes.map((type) => <option key={type.value} value={type.value}>{type.label}</option>)}
+            </select>
+          </div>
+          {data.type !== "free_delivery"
+            ? <div className='flex-col'>
+                <p>{data.type === "percentage" ? "Percent off" : "Amount off ($)"}</p>
+                <input name='value' onChange={onChangeHandler} value={data.value} type="number" min="0" max={data.type === "percentage" ? 100 : undefined} step="any" required />
+              </div>
+            : <></>
+          }
+          <div className='flex-col'>
+            <p>Minimum order ($)</p>
+            <input name='minOrder' onChange={onChangeHandler} value={data.minOrder} type="number" min="0" step="any" />
+          </div>
+        </div>
+        <div className='coupons-form-row'>
+          <div className='flex-col'>
+            <p>Expires on</p>
+            <input name='expiresAt' onChange={onChangeHandler} value={data.expiresAt} type="date" />
+          </div>
+          <div className='flex-col'>
+            <p>Total uses</p>
+            <input name='usageLimit' onChange={onChangeHandler} value={data.usageLimit} type="number" min="1" placeholder='No limit' />
+          </div>
+          <div className='flex-col'>
+            <p>Uses per customer</p>
+            <input name='perUserLimit' onChange={onChangeHandler} value={data.perUserLimit} type="number" min="1" placeholder='No limit' />
+          </div>
+          <label className='coupons-active'>
+            <input name='active' onChange={onChangeHandler} checked={data.active} type="checkbox" />
+            <p>Active</p>
+          </label>
+        </div>
+        <div className='flex-col'>
+          <p>Description</p>
+          <input name='description' onChange={onChangeHandler} value={data.description} type="text" placeholder='Shown to the team only' />
+        </div>
+        <div className='coupons-scope flex-col'>
+          <p>Limit to categories or items (leave both empty for the whole cart)</p>
+          <div className='coupons-categories'>
+            {categoryList.map((category) => (
+              <label key={category._id}>
+                <input type="checkbox" checked={categories.includes(category.name)} onChange={() => toggleCategory(category.name)} />
+                {category.name}
+              </label>
+            ))}
+          </div>
+          <select multiple value={items} onChange={(e) => setItems(Array.from(e.target.selectedOptions, (option) => option.value))}>
+            {foods.map((food) => <option key={food._id} value={food._id}>{food.name} ({food.category})</option>)}
+          </select>
+        </div>
+        <div className='coupons-actions'>
+          <button type='submit' className='add-btn'>{data.id ? "UPDATE" : "ADD"}</button>
+          {data.id ? <p className='cursor' onClick={resetForm}>Cancel</p> : <></>}
+        </div>
+      </form>
+      <p>All Coupons</p>
+      <div className='list-table'>
+        <div className="coupons-table-format title">
+          <b>Code</b>
+          <b>Discount</b>
+          <b>Conditions</b>
+          <b>Used</b>
+          <b>Status</b>
+          <b>Action</b>
+        </div>
+        {list.map((coupon) => {
+          const expired = coupon.expiresAt && new Date(coupon.expiresAt) <= new Date();
+          return (
+            <div key={coupon._id} className='coupons-table-format'>
+              <p>{coupon.code}</p>
+              <p>{describeDiscount(coupon)}</p>
+              <p>
+                {coupon.minOrder > 0 ? `Min $${coupon.minOrder}` : "Any order"}
+                {coupon.categories.length + coupon.items.length > 0 ? `, ${coupon.categories.length + coupon.items.length} scoped` : ""}
+                {coupon.expiresAt ? <><br/><span className={expired ? 'coupons-expired' : ''}>{expired ? "Expired" : "Until"} {new Date(coupon.expiresAt).toLocaleDateString()}</span></> : <></>}
+              </p>
+              <p>{coupon.usedCount}{coupon.usageLimit ? ` / ${coupon.usageLimit}` : ""}</p>
+              <p className='cursor' onClick={() => toggleActive(coupon)}>{coupon.active ? "Active" : "Inactive"}</p>
+              <div className='list-actions'>
+                <p className='cursor' onClick={() => editCoupon(coupon)}>Edit</p>
+                {isAdmin() ? <p className='cursor' onClick={() => removeCoupon(coupon._id)}>x</p> : <></>}
+              </div>
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default Coupons
@@ -0,0 +1,111 @@
+import { useState } from 'react'
+import './Import.css'
+import api from '../../utils/api';
+import { toast } from 'react-toastify';
+
+// bulk import & export of the menu, an import always starts with a dry-run preview
+const Import = () => {
+
+  const [file, setFile] = useState(null);
+  const [images, setImages] = useState(null);
+  const [preview, setPreview] = useState(null);
+
+  const send = async (dryRun) => {
+    const formData = new FormData();
+    formData.append("file", file);
+    if (images) {
+      formData.append("images", images);
+    }
+    formData.append("dryRun", dryRun);
+    const response = await api.post("/api/food/import", formData);
+    if (response.data.rows) {
+      setPreview(response.data);
+    }
+    if (response.data.success) {
+      if (!dryRun) {
+        toast.success(response.data.message)
+        setPreview(null);
+      }
+    }
+    else {
+      toast.error(response.data.message)
+    }
+  }
+
+  const onPreview = async (event) => {
+    event.preventDefault();
+    await send(true);
+  }
+
+  const exportCatalog = async (format) => {
+    const response = await api.get("/api/food/export", { params: { format }, responseType: "blob" });
+    // errors come back as the usual json instead of a file
+    if (!response.headers["content-disposition"]) {
+      const data = JSON.parse(await response.data.text());
+      toast.error(data.message)
+      return;
+    }
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(response.data);
+    link.download = `menu.${format}`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  // a new file invalidates the previous preview
+  const pick = (setter) => (event) => {
+    setter(event.target.files[0] || null);
+    setPreview(null);
+  }
+
+  return (
+    <div className='import add flex-col'>
+      <p>Export menu</p>
+      <div className='import-actions'>
+        <button type='button' className='add-btn' onClick={() => exportCatalog("csv")}>CSV</button>
+        <button type='button' className='add-btn' onClick={() => exportCatalog("json")}>JSON</button>
+      </div>
+      <p>Import menu</p>
+      <form className='import-form flex-col' onSubmit={onPreview}>
+        <label className='flex-col'>
+          Catalog (.csv or .json), items are matched by their sku
+          <input type="file" accept=".csv,.json" onChange={pick(setFile)} required />
+        </label>
+        <label className='flex-col'>
+          Images (.zip, optional), named like the image column
+          <input type="file" accept=".zip" onChange={pick(setImages)} />
+        </label>
+        <div className='import-actions'>
+          <button type='submit' className='add-btn'>PREVIEW</button>
+          <button type='button' className='add-btn' disabled={!preview || !preview.success} onClick={() => send(false)}>IMPORT</button>
+        </div>
+      </form>
+      {preview
+        ? <div className='import-preview flex-col'>
+          <p>{preview.summary.create} new, {preview.summary.update} updated, {preview.summary.invalid} with errors</p>
+          <div className='list-table'>
+            <div className="import-table-format title">
+              <b>Row</b>
+              <b>SKU</b>
+              <b>Name</b>
+              <b>Action</b>
+              <b>Errors</b>
+            </div>
+            {preview.rows.map((row) => (
+              <div key={row.row} className={row.errors.length > 0 ? 'import-table-format invalid' : 'import-table-format'}>
+                <p>{row.row}</p>
+                <p>{row.sku}</p>
+                <p>{row.name}</p>
+                <p>{row.action}</p>
+                <p>{row.errors.join("; ")}</p>
+              </div>
+            ))}
+          </div>
+        </div>
+        : <></>
+      }
+    </div>
+  )
+}
+
+export default Import
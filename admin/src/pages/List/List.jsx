@@ -1,26 +1,34 @@
-import React, { useEffect, useState } from 'react'
+import React, { useCallback, useEffect, useState } from 'react'
 import './List.css'
-import { url } from '../../assets/assets'
-import axios from 'axios';
+import api, { isAdmin } from '../../utils/api';
 import { toast } from 'react-toastify';
+import { useNavigate } from 'react-router-dom';
 
 const List = () => {
 
   const [list,setList] = useState([]);
+  const [archived,setArchived] = useState(false);
+  // menu preview at another time, empty means now
+  const [previewAt,setPreviewAt] = useState("");
+  const [timeZone,setTimeZone] = useState("");
+  const navigate = useNavigate();
   
-  const fetchList = async () => {
-    const response = await axios.get(`${url}/api/food/list`)
+  const fetchList = useCallback(async () => {
+    // sent as typed, the backend reads it in the store time zone
+    const response = await api.get("/api/food/admin/list",{ params: { archived, at: previewAt || undefined } })
     if(response.data.success)
     {
       setList(response.data.data);
+      setTimeZone(response.data.timeZone);
     }
     else{
       toast.error("Error")
     }
-  }
+  },[archived,previewAt])
 
-  const removeFood = async (foodId) => {
-    const response = await axios.post(`${url}/api/food/remove`,{
+  // archive & restore
+  const setArchivedState = async (foodId, action) => {
+    const response = await api.post("/api/food/"+action,{
       id:foodId
     })
     await fetchList();
@@ -28,33 +36,93 @@ const List = () => {
       toast.success(response.data.message);
     }
     else {
-      toast.error("Error")
+      toast.error(response.data.message)
+    }
+  }
+
+  // permanent delete, the backend wants the item name typed back as confirmation
+  const removeFood = async (item) => {
+    const confirm = window.prompt(`Deleting "${item.name}" can't be undone. Type its name to confirm.`);
+    if (confirm === null) {
+      return;
+    }
+    const response = await api.post("/api/food/remove",{
+      id:item._id,
+      confirm
+    })
+    await fetchList();
+    if (response.data.success) {
+      toast.success(response.data.message);
+    }
+    else {
+      toast.error(response.data.message)
+    }
+  }
+
+  const toggleAvailable = async (item) => {
+    const response = await api.post("/api/food/update",{
+      id:item._id,
+      available:!item.available
+    })
+    await fetchList();
+    if (response.data.success) {
+      toast.success(item.available ? "Marked unavailable" : "Marked available");
+    }
+    else {
+      toast.error(response.data.message)
     }
   }
 
   useEffect(()=>{
     fetchList();
-  },[])
+  },[fetchList])
 
   return (
     <div className='list add flex-col'>
-        <p>All Foods List</p>
+        <div className='list-header'>
+          <p>{archived ? "Archived Foods" : "All Foods List"}</p>
+          <p className='cursor list-toggle' onClick={()=>setArchived(!archived)}>{archived ? "Show menu items" : "Show archived"}</p>
+        </div>
+        <div className='list-preview'>
+          <label>
+            Preview the menu at
+            <input type="datetime-local" value={previewAt} onChange={(e)=>setPreviewAt(e.target.value)} />
+          </label>
+          {previewAt ? <p className='cursor list-toggle' onClick={()=>setPreviewAt("")}>Back to now</p> : <></>}
+          <p className='list-preview-zone'>Serving hours use the store time zone ({timeZone})</p>
+        </div>
         <div className='list-table'>
           <div className="list-table-format title">
             <b>Image</b>
             <b>Name</b>
             <b>Category</b>
             <b>Price</b>
+            <b>Stock</b>
             <b>Action</b>
           </div>
           {list.map((item,index)=>{
             return (
-              <div key={index} className='list-table-format'>
-                <img src={`${url}/images/`+item.image} alt="" />
-                <p>{item.name}</p>
+              <div key={index} className={item.availableNow ? 'list-table-format' : 'list-table-format off-schedule'}>
+                <img src={item.imageUrl} srcSet={item.imageSrcSet || undefined} sizes="50px" alt="" />
+                <p>{item.name}{item.availableNow ? "" : <><br/><span>Not served {previewAt ? "at this time" : "now"}</span></>}</p>
                 <p>{item.category}</p>
                 <p>${item.price}</p>
-                <p className='cursor' onClick={()=>removeFood(item._id)}>x</p>
+                <div className='list-stock'>
+                  <p>{item.stock === null || item.stock === undefined ? "—" : item.stock}</p>
+                  <p className={item.available ? 'cursor list-available' : 'cursor list-unavailable'} onClick={()=>toggleAvailable(item)}>
+                    {item.available ? "Available" : "Unavailable"}
+                  </p>
+                </div>
+                {archived
+                  ? <div className='list-actions'>
+                      <p className='cursor' onClick={()=>setArchivedState(item._id,"restore")}>Restore</p>
+                      {isAdmin() ? <p className='cursor list-unavailable' onClick={()=>removeFood(item)}>Delete</p> : <></>}
+                    </div>
+                  : <div className='list-actions'>
+                      <p className='cursor' onClick={()=>navigate('/edit/'+item._id)}>Edit</p>
+                      <p className='cursor' onClick={()=>setArchivedState(item._id,"archive")}>Archive</p>
+                    </div>
+                }
               </div>
             )
           })}
@@ -0,0 +1,102 @@
+import { useState } from 'react'
+import PropTypes from 'prop-types'
+import './Login.css'
+import { assets } from '../../assets/assets'
+import { toast } from 'react-toastify'
+import api, { saveRole, saveToken } from '../../utils/api'
+import TwoFactorSetup from '../../components/TwoFactorSetup/TwoFactorSetup'
+
+const Login = ({ setToken }) => {
+
+    const [data, setData] = useState({
+        email: "",
+        password: ""
+    })
+    // "credentials", "code", "recovery" or "setup"
+    const [step, setStep] = useState("credentials");
+    const [code, setCode] = useState("");
+    const [setupToken, setSetupToken] = useState("");
+
+    const onChangeHandler = (event) => {
+        const name = event.target.name
+        const value = event.target.value
+        setData(data => ({ ...data, [name]: value }))
+    }
+
+    const startSession = (session) => {
+        saveToken(session.token, session.refreshToken)
+        saveRole(session.role)
+        setToken(session.token)
+        toast.success("Welcome " + session.name)
+    }
+
+    const onLogin = async (e) => {
+        e.preventDefault()
+        let payload = data;
+        if (step === "code") {
+            payload = { ...data, code };
+        }
+        else if (step === "recovery") {
+            payload = { ...data, recoveryCode: code };
+        }
+        const response = await api.post("/api/user/admin/login", payload);
+        if (response.data.success) {
+            startSession(response.data)
+        }
+        else if (response.data.twoFactorRequired) {
+            if (step === "credentials") {
+                setStep("code")
+            }
+            setCode("")
+            toast.info(response.data.message)
+        }
+        else if (response.data.twoFactorSetupRequired) {
+            setSetupToken(response.data.setupToken)
+            setStep("setup")
+            toast.info(response.data.message)
+        }
+        else {
+            toast.error(response.data.message)
+        }
+    }
+
+    if (step === "setup") {
+        return (
+            <div className='login'>
+                <div className="login-container">
+                    <img className='login-logo' src={assets.logo} alt="" />
+                    <h2>Set up two-factor authentication</h2>
+                    <TwoFactorSetup setupToken={setupToken} onDone={startSession} />
+                </div>
+            </div>
+        )
+    }
+
+    return (
+        <div className='login'>
+            <form onSubmit={onLogin} className="login-container">
+                <img className='login-logo' src={assets.logo} alt="" />
+                <h2>Admin Panel Login</h2>
+                <div className="login-inputs">
+                    {step === "credentials"
+                        ? <>
+                            <input name='email' onChange={onChangeHandler} value={data.email} type="email" placeholder='Your email' required />
+                            <input name='password' onChange={onChangeHandler} value={data.password} type="password" placeholder='Password' required />
+                        </>
+                        : <input value={code} onChange={(e) => setCode(e.target.value)} type="text" autoComplete='one-time-code'
+                            placeholder={step === "code" ? 'Authentication code' : 'Recovery code'} required />
+                    }
+                </div>
+                <button type='submit'>{step === "credentials" ? "Login" : "Verify"}</button>
+                {step === "code" ? <p>Lost your device? <span onClick={() => setStep("recovery")}>Use a recovery code</span></p> : <></>}
+                {step === "recovery" ? <p>Have your device? <span onClick={() => setStep("code")}>Use an authentication code</span></p> : <></>}
+            </form>
+        </div>
+    )
+}
+
+Login.propTypes = {
+    setToken: PropTypes.func.isRequired
+}
+
+export default Login
@@ -1,15 +1,15 @@
 import React, { useEffect, useState } from 'react'
 import './Orders.css'
 import { toast } from 'react-toastify';
-import axios from 'axios';
-import { assets, url } from '../../assets/assets';
+import api from '../../utils/api';
+import { assets } from '../../assets/assets';
 
 const Order = () => {
 
   const [orders, setOrders] = useState([]);
 
   const fetchAllOrders = async () => {
-    const response = await axios.get(`${url}/api/order/list`)
+    const response = await api.get("/api/order/list")
     if (response.data.success) {
       setOrders(response.data.data.reverse());
       console.log(response.data.data);
@@ -21,7 +21,7 @@ const Order = () => {
 
   const statusHandler = async (event,orderId) => {
     console.log(event,orderId);
-    const response = await axios.post(`${url}/api/order/status`,{
+    const response = await api.post("/api/order/status",{
       orderId,
       status:event.target.value
     })
@@ -29,6 +29,9 @@ const Order = () => {
     {
       await fetchAllOrders();
     }
+    else {
+      toast.error(response.data.message)
+    }
   }
 
 
@@ -46,11 +49,14 @@ const Order = () => {
             <div>
               <p className='order-item-food'>
                 {order.items.map((item, index) => {
+                  const itemName = item.options && item.options.length > 0
+                    ? item.name + " (" + item.options.map((option) => option.name).join(", ") + ")"
+                    : item.name;
                   if (index === order.items.length - 1) {
-                    return item.name + " x " + item.quantity
+                    return itemName + " x " + item.quantity
                   }
                   else {
-                    return item.name + " x " + item.quantity + ", "
+                    return itemName + " x " + item.quantity + ", "
                   }
                 })}
                 </p>
@@ -62,11 +68,12 @@ const Order = () => {
               <p className='order-item-phone'>{order.address.phone}</p>
             </div>
             <p>Items : {order.items.length}</p>
-            <p>${order.amount}</p>
-            <select onChange={(e)=>statusHandler(e,order._id)} value={order.status} name="" id="">
+            <p>${order.amount}{order.coupon ? <><br/><span className='order-item-coupon'>{order.coupon.code} -${order.discount}</span></> : <></>}</p>
+            <select onChange={(e)=>statusHandler(e,order._id)} value={order.status} disabled={order.status === "Cancelled"} name="" id="">
               <option value="Food Processing">Food Processing</option>
               <option value="Out for delivery">Out for delivery</option>
               <option value="Delivered">Delivered</option>
+              <option value="Cancelled">Cancelled</option>
             </select>
           </div>
         ))}
@@ -0,0 +1,87 @@
+import { useCallback, useEffect, useState } from 'react'
+import './Reviews.css'
+import api from '../../utils/api';
+import { toast } from 'react-toastify';
+
+const filters = [
+  { label: "All", value: "" },
+  { label: "Visible", value: "false" },
+  { label: "Hidden", value: "true" }
+]
+
+const Reviews = () => {
+
+  const [reviews,setReviews] = useState([]);
+  const [hidden,setHidden] = useState("");
+  const [page,setPage] = useState(1);
+  const [pages,setPages] = useState(1);
+
+  const fetchReviews = useCallback(async () => {
+    const response = await api.get("/api/review/admin/list",{ params: { hidden, page } })
+    if(response.data.success)
+    {
+      setReviews(response.data.data);
+      setPages(Math.max(response.data.pagination.pages, 1));
+    }
+    else{
+      toast.error("Error")
+    }
+  },[hidden,page])
+
+  // hidden reviews stay in the database but no longer count towards the rating
+  const setVisibility = async (review) => {
+    const response = await api.post("/api/review/moderate",{
+      id:review._id,
+      hidden:!review.hidden
+    })
+    await fetchReviews();
+    if (response.data.success) {
+      toast.success(response.data.message);
+    }
+    else {
+      toast.error(response.data.message)
+    }
+  }
+
+  useEffect(()=>{
+    fetchReviews();
+  },[fetchReviews])
+
+  return (
+    <div className='reviews add flex-col'>
+        <div className='reviews-header'>
+          <p>Customer Reviews</p>
+          <select value={hidden} onChange={(e)=>{setHidden(e.target.value);setPage(1)}}>
+            {filters.map((filter)=><option key={filter.value} value={filter.value}>{filter.label}</option>)}
+          </select>
+        </div>
+        <div className='reviews-table'>
+          <div className="reviews-table-format title">
+            <b>Item</b>
+            <b>Customer</b>
+            <b>Rating</b>
+            <b>Comment</b>
+            <b>Action</b>
+          </div>
+          {reviews.map((review)=>{
+            return (
+              <div key={review._id} className={review.hidden ? 'reviews-table-format hidden' : 'reviews-table-format'}>
+                <p>{review.foodName}</p>
+                <p>{review.userName}<br/><span>{new Date(review.createdAt).toLocaleDateString()}</span></p>
+                <p className='reviews-stars'>{"★".repeat(review.rating)}{"☆".repeat(5-review.rating)}</p>
+                <p>{review.comment || "—"}</p>
+                <p className='cursor' onClick={()=>setVisibility(review)}>{review.hidden ? "Show" : "Hide"}</p>
+              </div>
+            )
+          })}
+        </div>
+        <div className='reviews-pagination'>
+          <button disabled={page<=1} onClick={()=>setPage(page-1)}>Previous</button>
+          <p>Page {page} of {pages}</p>
+          <button disabled={page>=pages} onClick={()=>setPage(page+1)}>Next</button>
+        </div>
+    </div>
+  )
+}
+
+export default Reviews
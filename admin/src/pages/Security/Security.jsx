@@ -0,0 +1,104 @@
+import { useEffect, useState } from 'react'
+import './Security.css'
+import { toast } from 'react-toastify'
+import api from '../../utils/api'
+import TwoFactorSetup from '../../components/TwoFactorSetup/TwoFactorSetup'
+
+const Security = () => {
+
+  const [profile, setProfile] = useState(null);
+  const [enrolling, setEnrolling] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [data, setData] = useState({
+    code: "",
+    password: ""
+  })
+
+  const fetchProfile = async () => {
+    const response = await api.post("/api/user/profile", {});
+    if (response.data.success) {
+      setProfile(response.data.data);
+    }
+    else {
+      toast.error("Error")
+    }
+  }
+
+  const onChangeHandler = (event) => {
+    const name = event.target.name;
+    const value = event.target.value;
+    setData(data => ({ ...data, [name]: value }))
+  }
+
+  const regenerateCodes = async () => {
+    const response = await api.post("/api/user/2fa/recovery-codes", { code: data.code });
+    if (response.data.success) {
+      setRecoveryCodes(response.data.recoveryCodes);
+      setData({ code: "", password: "" });
+      toast.success(response.data.message)
+    }
+    else {
+      toast.error(response.data.message)
+    }
+  }
+
+  const disableTwoFactor = async () => {
+    const response = await api.post("/api/user/2fa/disable", data);
+    if (response.data.success) {
+      setData({ code: "", password: "" });
+      setRecoveryCodes([]);
+      toast.success(response.data.message)
+      await fetchProfile();
+    }
+    else {
+      toast.error(response.data.message)
+    }
+  }
+
+  const onEnabled = async () => {
+    setEnrolling(false);
+    await fetchProfile();
+  }
+
+  useEffect(() => {
+    fetchProfile();
+  }, [])
+
+  if (!profile) {
+    return <div className='security add'></div>
+  }
+
+  return (
+    <div className='security add flex-col'>
+      <p>Two-factor authentication</p>
+      {!profile.twoFactorEnabled
+        ? enrolling
+          ? <div className='security-panel'><TwoFactorSetup onDone={onEnabled} /></div>
+          : <div className='security-panel flex-col'>
+              <p>Protect your account with a code from an authenticator app on every login.</p>
+              <button className='add-btn' onClick={() => setEnrolling(true)}>Enable</button>
+            </div>
+        : <div className='security-panel flex-col'>
+            <p>Two-factor authentication is <b>enabled</b>.</p>
+            <input name='code' onChange={onChangeHandler} value={data.code} type="text" autoComplete='one-time-code' placeholder='Authentication code' />
+            {profile.role !== "admin"
+              ? <input name='password' onChange={onChangeHandler} value={data.password} type="password" placeholder='Password (to disable)' />
+              : <></>
+            }
+            <div className='security-actions'>
+              <button className='add-btn' onClick={regenerateCodes}>New recovery codes</button>
+              {profile.role !== "admin" ? <button className='add-btn' onClick={disableTwoFactor}>Disable</button> : <></>}
+            </div>
+            {recoveryCodes.length > 0
+              ? <ul className='two-factor-codes'>
+                  {recoveryCodes.map((recoveryCode) => <li key={recoveryCode}>{recoveryCode}</li>)}
+                </ul>
+              : <></>
+            }
+          </div>
+      }
+    </div>
+  )
+}
+
+export default Security
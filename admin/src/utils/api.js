@@ -0,0 +1,123 @@
+import axios from 'axios';
+import { url } from '../assets/assets';
+
+// Shared axios client for the admin panel, attaches the stored admin token to every request
+// and refreshes it with the refresh token once it expires
+
+const TOKEN_KEY = "adminToken";
+const REFRESH_TOKEN_KEY = "adminRefreshToken";
+const ROLE_KEY = "adminRole";
+
+// messages the backend auth middleware answers with when the token is missing or no longer valid.
+// "Access Denied" isn't one of them, it only means the role can't do that action
+const authErrors = ["Not Authorized Login Again", "jwt malformed", "invalid token", "invalid signature"];
+
+let onUnauthorized = () => { };
+let refreshRequest = null;
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY) || "";
+
+export const getRefreshToken = () => localStorage.getItem(REFRESH_TOKEN_KEY) || "";
+
+export const saveToken = (token, refreshToken) => {
+    localStorage.setItem(TOKEN_KEY, token);
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+}
+
+export const clearToken = () => {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+    localStorage.removeItem(ROLE_KEY);
+}
+
+// role of the logged in user, "staff" or "admin", used to hide the actions only admins can do
+export const saveRole = (role) => {
+    localStorage.setItem(ROLE_KEY, role);
+}
+
+export const isAdmin = () => localStorage.getItem(ROLE_KEY) === "admin";
+
+// called by App to send the user back to the login page
+export const setUnauthorizedHandler = (handler) => {
+    onUnauthorized = handler;
+}
+
+// reads the exp claim of the JWT without verifying it, tokens without exp never expire
+export const isTokenExpired = (token) => {
+    try {
+        const payload = JSON.parse(atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/")));
+        return payload.exp ? payload.exp * 1000 <= Date.now() : false;
+    } catch (error) {
+        return true;
+    }
+}
+
+// parallel requests share a single refresh call, resolves to the new token or null
+const refreshToken = () => {
+    if (!refreshRequest) {
+        refreshRequest = (async () => {
+            const stored = getRefreshToken();
+            if (!stored) {
+                return null;
+            }
+            const response = await axios.post(url + "/api/user/refresh", { refreshToken: stored });
+            if (!response.data.success) {
+                return null;
+            }
+            saveToken(response.data.token, response.data.refreshToken);
+            return response.data.token;
+        })().finally(() => {
+            refreshRequest = null;
+        });
+    }
+    return refreshRequest;
+}
+
+export const logoutSession = async () => {
+    const stored = getRefreshToken();
+    clearToken();
+    if (stored) {
+        // the session is already gone here, a failed revoke only leaves the refresh token to expire
+        try {
+            await axios.post(url + "/api/user/logout", { refreshToken: stored });
+        } catch (error) {
+            console.log(error);
+        }
+    }
+}
+
+const api = axios.create({ baseURL: url });
+
+api.interceptors.request.use(async (config) => {
+    let token = getToken();
+    if (token && isTokenExpired(token)) {
+        token = await refreshToken();
+        if (!token) {
+            onUnauthorized();
+            return Promise.reject(new Error("Session expired"));
+        }
+    }
+    if (token) {
+        config.headers.token = token;
+    }
+    return config;
+});
+
+api.interceptors.response.use(async (response) => {
+    const { data, config } = response;
+    if (data && data.expired && !config.retried) {
+        const token = await refreshToken();
+        if (token) {
+            config.retried = true;
+            config.headers.token = token;
+            return api(config);
+        }
+        onUnauthorized();
+    }
+    else if (data && !data.success && authErrors.includes(data.message)) {
+        onUnauthorized();
+    }
+    return response;
+});
+
+export default api;
@@ -0,0 +1,100 @@
+import userModel from "../models/userModel.js"
+
+const addressFields = ["label", "firstName", "lastName", "email", "street", "city", "state", "zipcode", "country", "phone"];
+
+// pick the known address fields from the request body
+const readAddress = (body) => {
+   const address = {};
+   addressFields.forEach((field) => {
+      if (body[field] !== undefined) {
+         address[field] = String(body[field]).trim();
+      }
+   })
+   return address;
+}
+
+// get saved addresses
+const listAddresses = async (req, res) => {
+   try {
+      const userData = await userModel.findById(req.body.userId);
+      res.json({ success: true, data: userData.addresses });
+   } catch (error) {
+      console.log(error);
+      res.json({ success: false, message: "Error" })
+   }
+}
+
+// save a new address, the first one becomes the default
+const addAddress = async (req, res) => {
+   try {
+      const userData = await userModel.findById(req.body.userId);
+      const isDefault = userData.addresses.length === 0 || req.body.isDefault === true;
+      if (isDefault) {
+         userData.addresses.forEach((address) => { address.isDefault = false });
+      }
+      userData.addresses.push({ ...readAddress(req.body), isDefault });
+      await userData.save();
+      res.json({ success: true, message: "Address Saved", data: userData.addresses });
+   } catch (error) {
+      console.log(error);
+      res.json({ success: false, message: error.name === "ValidationError" ? "Please fill in all address fields" : "Error" })
+   }
+}
+
+// edit a saved address
+const updateAddress = async (req, res) => {
+   try {
+      const userData = await userModel.findById(req.body.userId);
+      const address = userData.addresses.id(req.body.addressId);
+      if (!address) {
+         return res.json({ success: false, message: "Address not found" });
+      }
+      address.set(readAddress(req.body));
+      await userData.save();
+      res.json({ success: true, message: "Address Updated", data: userData.addresses });
+   } catch (error) {
+      console.log(error);
+      res.json({ success: false, message: error.name === "ValidationError" ? "Please fill in all address fields" : "Error" })
+   }
+}
+
+// delete a saved address
+const removeAddress = async (req, res) => {
+   try {
+      const userData = await userModel.findById(req.body.userId);
+      const address = userData.addresses.id(req.body.addressId);
+      if (!address) {
+         return res.json({ success: false, message: "Address not found" });
+      }
+      const wasDefault = address.isDefault;
+      address.deleteOne();
+      if (wasDefault && userData.addresses.length > 0) {
+         userData.addresses[0].isDefault = true;
+      }
+      await userData.save();
+      res.json({ success: true, message: "Address Removed", data: userData.addresses });
+   } catch (error) {
+      console.log(error);
+      res.json({ success: false, message: "Error" })
+   }
+}
+
+// make an address the default one
+const setDefaultAddress = async (req, res) => {
+   try {
+      const userData = await userModel.findById(req.body.userId);
+      if (!userData.addresses.id(req.body.addressId)) {
+         return res.json({ success: false, message: "Address not found" });
+      }
+      userData.addresses.forEach((address) => {
+         address.isDefault = address._id.toString() === req.body.addressId;
+      })
+      await userData.save();
+      res.json({ success: true, message: "Default Address Updated", data: userData.addresses });
+   } catch (error) {
+      console.log(error);
+      res.json({ success: false, message: "Error" })
+   }
+}
+
+export { listAddresses, addAddress, updateAddress, removeAddress, setDefaultAddress }
@@ -1,47 +1,198 @@
 import userModel from "../models/userModel.js"
+import { MAX_LINE_QUANTITY, checkCartKey, normalizeCartKey, priceCart } from "../utils/cart.js"
+import { applyCoupon, evaluateCoupon, findCoupon, normalizeCode } from "../utils/coupons.js"
+
+// Cart lines are changed with atomic operators on cartData.<key> so quick repeated clicks can't
+// overwrite each other. Every change bumps cartVersion and answers with the cart as it is afterwards
+// and its priced summary.
+
+const cartPath = (key) => `cartData.${key}`;
+
+// users saved before carts were versioned have no cartVersion yet
+const versionFilter = (version) => version ? { cartVersion: version } : { cartVersion: { $in: [0, null] } };
+
+// applies the update when the user matches the condition, null when it doesn't
+const updateCart = async (userId, update, condition = {}) => {
+   return userModel.findOneAndUpdate(
+      { _id: userId, ...condition },
+      { ...update, $inc: { ...update.$inc, cartVersion: 1 } },
+      { new: true, projection: { cartData: 1, cartVersion: 1, cartCoupon: 1 } }
+   );
+}
+
+const currentCart = async (userId) => userModel.findById(userId, { cartData: 1, cartVersion: 1, cartCoupon: 1 });
+
+// summary of the cart with the discount of its promo code
+const summarizeCart = async (cartData, cartCoupon, userId) => {
+   const { summary } = await priceCart(cartData);
+   return applyCoupon(summary, cartCoupon, String(userId));
+}
+
+const cartResponse = async (user, message) => ({
+   success: true,
+   message,
+   cartData: user.cartData || {},
+   cartVersion: user.cartVersion,
+   summary: await summarizeCart(user.cartData, user.cartCoupon, user._id)
+});
 
 // add to user cart  
 const addToCart = async (req, res) => {
    try {
-      let userData = await userModel.findOne({_id:req.body.userId});
-      let cartData = await userData.cartData;
-      if (!cartData[req.body.itemId]) {
-         cartData[req.body.itemId] = 1;
-      }
-      else {
-         cartData[req.body.itemId] += 1;
+      // itemId is the cart line key, it carries the chosen options
+      const { key, error } = await checkCartKey(req.body.itemId);
+      if (error) {
+         return res.json({ success: false, message: error });
       }
-      await userModel.findByIdAndUpdate(req.body.userId, {cartData});
-      res.json({ success: true, message: "Added To Cart" });
+
+      const user = await updateCart(req.body.userId, { $inc: { [cartPath(key)]: 1 } }, { [cartPath(key)]: { $not: { $gte: MAX_LINE_QUANTITY } } })
+         || await currentCart(req.body.userId);
+      res.json(await cartResponse(user, "Added To Cart"));
    } catch (error) {
       console.log(error);
       res.json({ success: false, message: "Error" })
    }
 }
 
-// remove food from user cart
+// remove one of a line from user cart, the line goes when it reaches zero
 const removeFromCart = async (req, res) => {
    try {
-      let userData = await userModel.findById(req.body.userId);
-      let cartData = await userData.cartData;
-      if (cartData[req.body.itemId] > 0) {
-         cartData[req.body.itemId] -= 1;
+      const key = normalizeCartKey(req.body.itemId);
+      if (!key) {
+         return res.json({ success: false, message: "Invalid cart item" });
+      }
+      const path = cartPath(key);
+      const user = await updateCart(req.body.userId, { $inc: { [path]: -1 } }, { [path]: { $gt: 1 } })
+         || await updateCart(req.body.userId, { $unset: { [path]: "" } }, { [path]: { $exists: true } })
+         || await currentCart(req.body.userId);
+      res.json(await cartResponse(user, "Removed From Cart"));
+   } catch (error) {
+      console.log(error);
+      res.json({ success: false, message: "Error" })
+   }
+
+}
+
+// set the quantity of a line, zero removes it
+const setCartQuantity = async (req, res) => {
+   try {
+      const quantity = Number(req.body.quantity);
+      if (!Number.isInteger(quantity) || quantity < 0 || quantity > MAX_LINE_QUANTITY) {
+         return res.json({ success: false, message: `Quantity must be a whole number from 0 to ${MAX_LINE_QUANTITY}` });
+      }
+
+      if (quantity === 0) {
+         const key = normalizeCartKey(req.body.itemId);
+         if (!key) {
+            return res.json({ success: false, message: "Invalid cart item" });
+         }
+         const user = await updateCart(req.body.userId, { $unset: { [cartPath(key)]: "" } });
+         return res.json(await cartResponse(user, "Cart Updated"));
+      }
+      const { key, food, error } = await checkCartKey(req.body.itemId);
+      if (error) {
+         return res.json({ success: false, message: error });
+      }
+      if (food.stock !== null && quantity > food.stock) {
+         return res.json({ success: false, message: `Only ${food.stock} left of ${food.name}` });
       }
-      await userModel.findByIdAndUpdate(req.body.userId, {cartData});
-      res.json({ success: true, message: "Removed From Cart" });
+      const user = await updateCart(req.body.userId, { $set: { [cartPath(key)]: quantity } });
+      res.json(await cartResponse(user, "Cart Updated"));
    } catch (error) {
       console.log(error);
       res.json({ success: false, message: "Error" })
    }
+}
 
+// remove a whole line, whatever its quantity
+const removeCartLine = async (req, res) => {
+   try {
+      const key = normalizeCartKey(req.body.itemId);
+      if (!key) {
+         return res.json({ success: false, message: "Invalid cart item" });
+      }
+      const user = await updateCart(req.body.userId, { $unset: { [cartPath(key)]: "" } });
+      res.json(await cartResponse(user, "Removed From Cart"));
+   } catch (error) {
+      console.log(error);
+      res.json({ success: false, message: "Error" })
+   }
 }
 
-// get user cart
+const clearCart = async (req, res) => {
+   try {
+      const user = await updateCart(req.body.userId, { $set: { cartData: {}, cartCoupon: null } });
+      res.json(await cartResponse(user, "Cart Cleared"));
+   } catch (error) {
+      console.log(error);
+      res.json({ success: false, message: "Error" })
+   }
+}
+
+// merges the cart a guest built before logging in or signing up into the account's cart.
+// Lines that can't be ordered are skipped, a line in both carts keeps the larger quantity
+// (the guest cart may be an older copy of this same cart) and the rest is added as it is.
+const mergeCart = async (req, res) => {
+   try {
+      const guestCart = req.body.cartData && typeof req.body.cartData === "object" ? req.body.cartData : {};
+      const { summary } = await priceCart(guestCart);
+      const lines = summary.lines.filter((line) => !line.soldOut);
+      const skipped = Object.keys(guestCart).length - lines.length;
+
+      const quantities = Object.fromEntries(lines.map((line) => [cartPath(line.key), Math.min(line.quantity, MAX_LINE_QUANTITY)]));
+      const user = lines.length > 0
+         ? await updateCart(req.body.userId, { $max: quantities })
+         : await currentCart(req.body.userId);
+      res.json({ ...await cartResponse(user, skipped > 0 ? `${skipped} item(s) of your cart are no longer available` : "Cart Merged"), skipped });
+   } catch (error) {
+      console.log(error);
+      res.json({ success: false, message: "Error" })
+   }
+}
+
+// puts a promo code on the cart, only when it gives a discount on the cart as it is now
+const applyCartCoupon = async (req, res) => {
+   try {
+      const code = normalizeCode(req.body.code);
+      if (!code) {
+         return res.json({ success: false, message: "Enter a promo code" });
+      }
+      const cart = await currentCart(req.body.userId);
+      const { summary } = await priceCart(cart.cartData);
+      const { error } = await evaluateCoupon(await findCoupon(code), { userId: req.body.userId, ...summary });
+      if (error) {
+         return res.json({ success: false, message: error });
+      }
+      const user = await updateCart(req.body.userId, { $set: { cartCoupon: code } });
+      res.json(await cartResponse(user, "Promo code applied"));
+   } catch (error) {
+      console.log(error);
+      res.json({ success: false, message: "Error" })
+   }
+}
+
+const removeCartCoupon = async (req, res) => {
+   try {
+      const user = await updateCart(req.body.userId, { $set: { cartCoupon: null } });
+      res.json(await cartResponse(user, "Promo code removed"));
+   } catch (error) {
+      console.log(error);
+      res.json({ success: false, message: "Error" })
+   }
+}
+
+// get user cart, lines that can't be ordered any more are pruned and the rest is priced with the current menu
 const getCart = async (req, res) => {
    try {
-      let userData = await userModel.findById(req.body.userId);
-      let cartData = await userData.cartData;
-      res.json({ success: true, cartData:cartData });
+      let userData = await currentCart(req.body.userId);
+      let cartVersion = userData.cartVersion;
+      const { cartData, pruned, summary } = await priceCart(userData.cartData);
+      if (pruned) {
+         // skipped when the cart changed in the meantime, the next load prunes it
+         const user = await updateCart(req.body.userId, { $set: { cartData } }, versionFilter(userData.cartVersion));
+         cartVersion = user ? user.cartVersion : cartVersion;
+      }
+      res.json({ success: true, cartData, cartVersion, summary: await applyCoupon(summary, userData.cartCoupon, req.body.userId) });
    } catch (error) {
       console.log(error);
       res.json({ success: false, message: "Error" })
@@ -49,4 +200,4 @@ const getCart = async (req, res) => {
 }
 
 
-export { addToCart, removeFromCart, getCart }
\ No newline at end of file
+export { addToCart, removeFromCart, setCartQuantity, removeCartLine, clearCart, mergeCart, applyCartCoupon, removeCartCoupon, getCart }
@@ -0,0 +1,213 @@
+import sharp from "sharp";
+import foodModel from "../models/foodModel.js";
+import categoryModel from "../models/categoryModel.js";
+import { parseCatalog, readImageZip, serializeCatalog, toRecord } from "../utils/catalog.js";
+import { parseList, parseNutrition, parseSku, parseStock } from "../utils/foodFields.js";
+import { parseOptionGroups } from "../utils/foodOptions.js";
+import { parseSchedule } from "../utils/schedule.js";
+import { removeImage, storeImage } from "../utils/images.js";
+
+const objectIdPattern = /^[0-9a-f]{24}$/i;
+
+const parseAvailable = (value) => {
+    if (value === undefined || value === null || value === "" || value === true || value === false) {
+        return value === false ? false : true;
+    }
+    const text = String(value).trim().toLowerCase();
+    if (["true", "yes", "1"].includes(text)) {
+        return true;
+    }
+    if (["false", "no", "0"].includes(text)) {
+        return false;
+    }
+    throw new Error(`expected true or false, got "${value}"`);
+}
+
+// checks one record of the catalog, returns the fields to save and the problems found
+const checkRecord = async (record, { categories, images, food }) => {
+    const errors = [];
+    const attempt = (field, parseField) => {
+        try {
+            return parseField();
+        } catch (error) {
+            errors.push(`${field}: ${error.message}`);
+            return undefined;
+        }
+    }
+
+    const fields = {
+        sku: parseSku(record.sku),
+        name: String(record.name ?? "").trim(),
+        description: String(record.description ?? "").trim(),
+        price: record.price === "" || record.price === null || record.price === undefined ? NaN : Number(record.price),
+        category: String(record.category ?? "").trim(),
+        available: attempt("available", () => parseAvailable(record.available)),
+        stock: parseStock(record.stock),
+        dietaryTags: attempt("dietaryTags", () => parseList(record.dietaryTags)),
+        allergens: attempt("allergens", () => parseList(record.allergens)),
+        nutrition: attempt("nutrition", () => parseNutrition(record.nutrition || {})),
+        optionGroups: attempt("optionGroups", () => parseOptionGroups(record.optionGroups || [])),
+        schedule: attempt("schedule", () => parseSchedule(record.schedule || []))
+    };
+
+    if (!fields.sku) {
+        errors.push("sku is required");
+    }
+    if (!fields.name) {
+        errors.push("name is required");
+    }
+    if (!fields.description) {
+        errors.push("description is required");
+    }
+    if (!Number.isFinite(fields.price) || fields.price < 0) {
+        errors.push("price must be a number of at least 0");
+    }
+    if (!categories.has(fields.category)) {
+        errors.push(`unknown category "${fields.category}"`);
+    }
+    if (fields.stock !== null && (!Number.isInteger(fields.stock) || fields.stock < 0)) {
+        errors.push("stock must be empty or a whole number of at least 0");
+    }
+
+    // the model catches the rest (tags, allergens, nutrition, option groups)
+    if (errors.length === 0) {
+        const validation = new foodModel({ ...fields, image: "pending" }).validateSync();
+        if (validation) {
+            Object.values(validation.errors).forEach((error) => errors.push(error.message));
+        }
+    }
+
+    const imageName = String(record.image ?? "").trim();
+    const imageEntry = imageName ? images.get(imageName) : undefined;
+    if (imageEntry) {
+        try {
+            await sharp(imageEntry.getData()).metadata();
+        } catch (error) {
+            errors.push(`${imageName} is not a valid image`);
+        }
+    }
+    else if (!food) {
+        errors.push(imageName ? `image ${imageName} is not in the zip` : "image is required for new items");
+    }
+
+    return { fields, imageEntry, errors };
+}
+
+// bulk import of a CSV or JSON catalog with an optional zip of images, items are matched by sku.
+// With dryRun nothing is saved, every row is checked and reported; a real import only runs when no row has errors.
+const importFood = async (req, res) => {
+    try {
+        const file = req.files?.file?.[0];
+        if (!file) {
+            return res.json({ success: false, message: "Please upload a CSV or JSON file" })
+        }
+        const dryRun = req.body.dryRun === "true";
+
+        let records;
+        try {
+            records = parseCatalog(file);
+        } catch (error) {
+            return res.json({ success: false, message: `Could not read the catalog: ${error.message}` })
+        }
+        if (records.length === 0) {
+            return res.json({ success: false, message: "The catalog is empty" })
+        }
+
+        let images = new Map();
+        if (req.files.images) {
+            try {
+                images = readImageZip(req.files.images[0].buffer);
+            } catch (error) {
+                return res.json({ success: false, message: `Could not read the zip: ${error.message}` })
+            }
+        }
+
+        const categories = new Set((await categoryModel.find({}, { name: 1 })).map((category) => category.name));
+        const keys = records.map((record) => parseSku(record.sku)).filter(Boolean);
+        const existing = await foodModel.find({
+            $or: [{ sku: { $in: keys } }, { _id: { $in: keys.filter((key) => objectIdPattern.test(key)) } }]
+        });
+        const findFood = (key) => existing.find((food) => food.sku === key)
+            || existing.find((food) => !food.sku && food._id.toString() === key);
+
+        const seen = new Set();
+        const rows = [];
+        for (const [index, record] of records.entries()) {
+            const key = parseSku(record.sku);
+            const food = key ? findFood(key) : undefined;
+            const checked = await checkRecord(record, { categories, images, food });
+            if (key && seen.has(key)) {
+                checked.errors.push(`sku ${key} appears more than once`);
+            }
+            seen.add(key);
+            rows.push({ row: index + 1, food, ...checked });
+        }
+
+        const report = (row) => ({
+            row: row.row,
+            sku: row.fields.sku || "",
+            name: row.fields.name,
+            action: row.food ? "update" : "create",
+            errors: row.errors
+        });
+        const summary = {
+            total: rows.length,
+            create: rows.filter((row) => !row.food).length,
+            update: rows.filter((row) => row.food).length,
+            invalid: rows.filter((row) => row.errors.length > 0).length
+        };
+
+        if (dryRun || summary.invalid > 0) {
+            return res.json({
+                success: summary.invalid === 0,
+                dryRun,
+                message: summary.invalid > 0 ? `${summary.invalid} rows have errors, nothing was imported` : "Ready to import",
+                summary,
+                rows: rows.map(report)
+            })
+        }
+
+        for (const row of rows) {
+            const food = row.food || new foodModel();
+            const oldImage = row.food && row.imageEntry ? { image: food.image, widths: food.imageWidths } : null;
+            food.set(row.fields);
+            if (row.imageEntry) {
+                const { filename, widths } = await storeImage({ buffer: row.imageEntry.getData() }, { variants: true });
+                food.image = filename;
+                food.imageWidths = widths;
+            }
+            try {
+                await food.save();
+            } catch (error) {
+                if (row.imageEntry) {
+                    removeImage(food.image, food.imageWidths)
+                }
+                throw error;
+            }
+            if (oldImage) {
+                removeImage(oldImage.image, oldImage.widths)
+            }
+        }
+        res.json({ success: true, dryRun, message: `${summary.create} items added, ${summary.update} updated`, summary, rows: rows.map(report) })
+    } catch (error) {
+        console.log(error);
+        res.json({ success: false, message: "Error" })
+    }
+}
+
+// whole catalog as a download, ?format=csv or json (default), in the format the import reads.
+// Archived items are left out, the file has no column for it and importing them back would put them on the menu
+const exportFood = async (req, res) => {
+    try {
+        const format = req.query.format === "csv" ? "csv" : "json";
+        const foods = await foodModel.find({ archivedAt: null }).sort({ category: 1, name: 1 });
+        res.attachment(`menu.${format}`);
+        res.type(format === "csv" ? "text/csv" : "application/json");
+        res.send(serializeCatalog(foods.map(toRecord), format));
+    } catch (error) {
+        console.log(error);
+        res.json({ success: false, message: "Error" })
+    }
+}
+
+export { importFood, exportFood }
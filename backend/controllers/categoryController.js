@@ -0,0 +1,149 @@
+import categoryModel from "../models/categoryModel.js";
+import foodModel from "../models/foodModel.js";
+import couponModel from "../models/couponModel.js";
+import { removeImage } from "../utils/images.js";
+import { parseSchedule } from "../utils/schedule.js";
+
+// active categories for the menu
+const listCategories = async (req, res) => {
+    try {
+        const categories = await categoryModel.find({ active: true }).sort({ sortOrder: 1, name: 1 })
+        res.json({ success: true, data: categories })
+    } catch (error) {
+        console.log(error);
+        res.json({ success: false, message: "Error" })
+    }
+}
+
+// all categories for the admin panel
+const listAllCategories = async (req, res) => {
+    try {
+        const categories = await categoryModel.find({}).sort({ sortOrder: 1, name: 1 })
+        res.json({ success: true, data: categories })
+    } catch (error) {
+        console.log(error);
+        res.json({ success: false, message: "Error" })
+    }
+}
+
+// add category
+const addCategory = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.json({ success: false, message: "Please upload an image" })
+        }
+        const name = (req.body.name || "").trim();
+        if (await categoryModel.exists({ name })) {
+            removeImage(req.file.filename)
+            return res.json({ success: false, message: "Category already exists" })
+        }
+
+        let schedule;
+        try {
+            schedule = parseSchedule(req.body.schedule || []);
+        } catch (error) {
+            removeImage(req.file.filename)
+            return res.json({ success: false, message: error.message })
+        }
+
+        const category = new categoryModel({
+            name,
+            image: req.file.filename,
+            sortOrder: Number(req.body.sortOrder) || 0,
+            active: req.body.active !== "false",
+            schedule
+        })
+        await category.save();
+        res.json({ success: true, message: "Category Added" })
+    } catch (error) {
+        console.log(error);
+        if (req.file) {
+            removeImage(req.file.filename)
+        }
+        res.json({ success: false, message: "Error" })
+    }
+}
+
+// update category, renaming it also moves its food items
+const updateCategory = async (req, res) => {
+    try {
+        const category = await categoryModel.findById(req.body.id);
+        if (!category) {
+            if (req.file) {
+                removeImage(req.file.filename)
+            }
+            return res.json({ success: false, message: "Category not found" })
+        }
+
+        const oldName = category.name;
+        const oldImage = category.image;
+        const name = req.body.name !== undefined ? req.body.name.trim() : oldName;
+        if (name !== oldName && await categoryModel.exists({ name })) {
+            if (req.file) {
+                removeImage(req.file.filename)
+            }
+            return res.json({ success: false, message: "Category already exists" })
+        }
+
+        category.name = name;
+        if (req.body.sortOrder !== undefined) {
+            category.sortOrder = Number(req.body.sortOrder) || 0;
+        }
+        if (req.body.active !== undefined) {
+            category.active = req.body.active === true || req.body.active === "true";
+        }
+        if (req.body.schedule !== undefined) {
+            try {
+                category.schedule = parseSchedule(req.body.schedule);
+            } catch (error) {
+                if (req.file) {
+                    removeImage(req.file.filename)
+                }
+                return res.json({ success: false, message: error.message })
+            }
+        }
+        if (req.file) {
+            category.image = req.file.filename;
+        }
+        await category.save();
+
+        // food items and the category scope of coupons store the category by name
+        if (name !== oldName) {
+            await foodModel.updateMany({ category: oldName }, { category: name });
+            await couponModel.updateMany({ categories: oldName }, { $set: { "categories.$[c]": name } }, { arrayFilters: [{ c: oldName }] });
+        }
+        if (req.file) {
+            removeImage(oldImage)
+        }
+        res.json({ success: true, message: "Category Updated" })
+    } catch (error) {
+        console.log(error);
+        if (req.file) {
+            removeImage(req.file.filename)
+        }
+        res.json({ success: false, message: "Error" })
+    }
+}
+
+// delete category, only when no food item uses it
+const removeCategory = async (req, res) => {
+    try {
+        const category = await categoryModel.findById(req.body.id);
+        if (!category) {
+            return res.json({ success: false, message: "Category not found" })
+        }
+        const used = await foodModel.countDocuments({ category: category.name });
+        if (used > 0) {
+            return res.json({ success: false, message: `Category is used by ${used} food items, deactivate it instead` })
+        }
+
+        removeImage(category.image)
+        await categoryModel.findByIdAndDelete(req.body.id)
+        res.json({ success: true, message: "Category Removed" })
+    } catch (error) {
+        console.log(error);
+        res.json({ success: false, message: "Error" })
+    }
+}
+
+export { listCategories, listAllCategories, addCategory, updateCategory, removeCategory }
@@ -0,0 +1,111 @@
+import couponModel from "../models/couponModel.js";
+import { normalizeCode } from "../utils/coupons.js";
+
+const optionalNumber = (value) => value === undefined || value === null || value === "" ? null : Number(value);
+
+// fields of the admin form, empty limits & expiry mean none
+const parseCouponFields = (body) => {
+    const fields = {};
+    if (body.code !== undefined) {
+        fields.code = normalizeCode(body.code);
+    }
+    ["description", "type"].forEach((field) => {
+        if (body[field] !== undefined) {
+            fields[field] = String(body[field]);
+        }
+    });
+    ["value", "minOrder"].forEach((field) => {
+        if (body[field] !== undefined) {
+            fields[field] = Number(body[field]) || 0;
+        }
+    });
+    ["usageLimit", "perUserLimit"].forEach((field) => {
+        if (body[field] !== undefined) {
+            fields[field] = optionalNumber(body[field]);
+        }
+    });
+    if (body.expiresAt !== undefined) {
+        fields.expiresAt = body.expiresAt ? new Date(body.expiresAt) : null;
+    }
+    ["categories", "items"].forEach((field) => {
+        if (body[field] !== undefined) {
+            fields[field] = Array.isArray(body[field]) ? body[field].map(String) : [];
+        }
+    });
+    if (body.active !== undefined) {
+        fields.active = body.active === true || body.active === "true";
+    }
+    return fields;
+}
+
+// every coupon for the admin panel, newest first
+const listCoupons = async (req, res) => {
+    try {
+        const coupons = await couponModel.find({}).sort({ createdAt: -1 });
+        res.json({ success: true, data: coupons })
+    } catch (error) {
+        console.log(error);
+        res.json({ success: false, message: "Error" })
+    }
+}
+
+const addCoupon = async (req, res) => {
+    try {
+        const coupon = new couponModel(parseCouponFields(req.body));
+        if (!coupon.code) {
+            return res.json({ success: false, message: "Enter a code" })
+        }
+        if (await couponModel.exists({ code: coupon.code })) {
+            return res.json({ success: false, message: "Code already exists" })
+        }
+        const validation = coupon.validateSync();
+        if (validation) {
+            return res.json({ success: false, message: Object.values(validation.errors).map((error) => error.message).join(", ") })
+        }
+        await coupon.save();
+        res.json({ success: true, message: "Coupon Added" })
+    } catch (error) {
+        console.log(error);
+        res.json({ success: false, message: "Error" })
+    }
+}
+
+// update coupon, usedCount is kept as it is
+const updateCoupon = async (req, res) => {
+    try {
+        const coupon = await couponModel.findById(req.body.id);
+        if (!coupon) {
+            return res.json({ success: false, message: "Coupon not found" })
+        }
+        const fields = parseCouponFields(req.body);
+        if (fields.code !== undefined && fields.code !== coupon.code && await couponModel.exists({ code: fields.code })) {
+            return res.json({ success: false, message: "Code already exists" })
+        }
+        coupon.set(fields);
+        const validation = coupon.validateSync();
+        if (validation) {
+            return res.json({ success: false, message: Object.values(validation.errors).map((error) => error.message).join(", ") })
+        }
+        await coupon.save();
+        res.json({ success: true, message: "Coupon Updated" })
+    } catch (error) {
+        console.log(error);
+        res.json({ success: false, message: "Error" })
+    }
+}
+
+// carts still holding the code just stop getting the discount
+const removeCoupon = async (req, res) => {
+    try {
+        const coupon = await couponModel.findByIdAndDelete(req.body.id);
+        if (!coupon) {
+            return res.json({ success: false, message: "Coupon not found" })
+        }
+        res.json({ success: true, message: "Coupon Removed" })
+    } catch (error) {
+        console.log(error);
+        res.json({ success: false, message: "Error" })
+    }
+}
+
+export { listCoupons, addCoupon, updateCoupon, removeCoupon }
@@ -1,11 +1,76 @@
 import foodModel from "../models/foodModel.js";
-import fs from 'fs'
+import categoryModel from "../models/categoryModel.js";
+import { parseOptionGroups } from "../utils/foodOptions.js";
+import { removeImage } from "../utils/images.js";
+import { parseList, parseNutrition, parseSku, parseStock } from "../utils/foodFields.js";
+import { inactiveCategories } from "../utils/inventory.js";
+import { flagAvailability, parseMoment, parseSchedule, storeTimeZone } from "../utils/schedule.js";
 
-// all food list
+const sortOptions = {
+    price_asc: { price: 1, _id: 1 },
+    price_desc: { price: -1, _id: 1 },
+    name: { name: 1, _id: 1 },
+    newest: { _id: -1 }
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// food list, filtered by ?q= ?category= ?minPrice= ?maxPrice= ?diet= ?excludeAllergens=, sorted by ?sort=
+// and paginated with ?page= & ?limit= (without limit the whole list is returned).
+// Items outside their availability window are kept in the list with availableNow set to false.
 const listFood = async (req, res) => {
     try {
-        const foods = await foodModel.find({})
-        res.json({ success: true, data: foods })
+        const { q, category, minPrice, maxPrice, sort, diet, excludeAllergens } = req.query;
+        // items of deactivated categories are off the menu
+        const filter = { archivedAt: null, category: { $nin: await inactiveCategories() } };
+        if (q) {
+            filter.$text = { $search: String(q) };
+        }
+        if (category && category !== "All") {
+            filter.category.$eq = String(category);
+        }
+        if (minPrice || maxPrice) {
+            filter.price = {};
+            if (minPrice) {
+                filter.price.$gte = Number(minPrice);
+            }
+            if (maxPrice) {
+                filter.price.$lte = Number(maxPrice);
+            }
+        }
+
+        if (diet) {
+            filter.dietaryTags = { $all: parseList(diet) };
+        }
+        if (excludeAllergens) {
+            filter.allergens = { $nin: parseList(excludeAllergens) };
+        }
+
+        let query = foodModel.find(filter);
+        if (sortOptions[sort]) {
+            query = query.sort(sortOptions[sort]);
+        }
+        else if (q) {
+            // best matches first
+            query = query.select({ score: { $meta: "textScore" } }).sort({ score: { $meta: "textScore" }, _id: 1 });
+        }
+        else if (req.query.limit) {
+            // pages need a stable order, MongoDB gives none without a sort
+            query = query.sort({ _id: 1 });
+        }
+
+        if (!req.query.limit) {
+            const foods = await query;
+            return res.json({ success: true, data: await flagAvailability(foods) })
+        }
+
+        const limit = Math.min(Math.max(Number(req.query.limit) || 12, 1), 100);
+        const page = Math.max(Number(req.query.page) || 1, 1);
+        const [foods, total] = await Promise.all([
+            query.skip((page - 1) * limit).limit(limit),
+            foodModel.countDocuments(filter)
+        ]);
+        res.json({ success: true, data: await flagAvailability(foods), pagination: { page, limit, total, pages: Math.ceil(total / limit) } })
     } catch (error) {
         console.log(error);
         res.json({ success: false, message: "Error" })
@@ -13,36 +78,241 @@ const listFood = async (req, res) => {
 
 }
 
+// name suggestions for the search box
+const suggestFood = async (req, res) => {
+    try {
+        const q = String(req.query.q || "").trim();
+        if (!q) {
+            return res.json({ success: true, data: [] })
+        }
+        const foods = await foodModel.find({ name: { $regex: escapeRegex(q), $options: "i" }, archivedAt: null, category: { $nin: await inactiveCategories() } })
+            .select({ name: 1, category: 1 })
+            .sort({ name: 1 })
+            .limit(8);
+        res.json({ success: true, data: foods })
+    } catch (error) {
+        console.log(error);
+        res.json({ success: false, message: "Error" })
+    }
+}
+
 // add food
 const addFood = async (req, res) => {
 
+    if (!req.file) {
+        return res.json({ success: false, message: "Please upload an image" })
+    }
     let image_filename = `${req.file.filename}`
 
+    let optionGroups = [];
+    let attributes = {};
+    try {
+        optionGroups = req.body.optionGroups ? parseOptionGroups(req.body.optionGroups) : [];
+        attributes = {
+            dietaryTags: parseList(req.body.dietaryTags),
+            allergens: parseList(req.body.allergens),
+            nutrition: parseNutrition(req.body.nutrition || {}),
+            schedule: parseSchedule(req.body.schedule || [])
+        };
+    } catch (error) {
+        removeImage(image_filename, req.file.widths)
+        return res.json({ success: false, message: error.message })
+    }
+
     const food = new foodModel({
+        sku: parseSku(req.body.sku),
         name: req.body.name,
         description: req.body.description,
         price: req.body.price,
         category:req.body.category,
         image: image_filename,
+        imageWidths: req.file.widths,
+        available: req.body.available !== "false",
+        stock: parseStock(req.body.stock),
+        optionGroups,
+        ...attributes,
     })
     try {
+        if (!(await categoryModel.exists({ name: req.body.category }))) {
+            removeImage(image_filename, req.file.widths)
+            return res.json({ success: false, message: "Unknown category" })
+        }
+        if (food.sku && await foodModel.exists({ sku: food.sku })) {
+            removeImage(image_filename, req.file.widths)
+            return res.json({ success: false, message: "SKU already used by another item" })
+        }
         await food.save();
         res.json({ success: true, message: "Food Added" })
+    } catch (error) {
+        console.log(error);
+        removeImage(image_filename, req.file.widths)
+        res.json({ success: false, message: "Error" })
+    }
+}
+
+// single food item
+const getFood = async (req, res) => {
+    try {
+        const food = await foodModel.findById(req.params.id)
+        if (!food) {
+            return res.json({ success: false, message: "Food not found" })
+        }
+        const [data] = await flagAvailability([food]);
+        res.json({ success: true, data })
+    } catch (error) {
+        console.log(error);
+        res.json({ success: false, message: "Error" })
+    }
+}
+
+// update food, the image is only replaced when a new one is uploaded
+const updateFood = async (req, res) => {
+    try {
+        const food = await foodModel.findById(req.body.id);
+        if (!food) {
+            if (req.file) {
+                removeImage(req.file.filename, req.file.widths)
+            }
+            return res.json({ success: false, message: "Food not found" })
+        }
+
+        if (req.body.category !== undefined && !(await categoryModel.exists({ name: req.body.category }))) {
+            if (req.file) {
+                removeImage(req.file.filename, req.file.widths)
+            }
+            return res.json({ success: false, message: "Unknown category" })
+        }
+
+        if (req.body.sku !== undefined) {
+            const sku = parseSku(req.body.sku);
+            if (sku && await foodModel.exists({ sku, _id: { $ne: food._id } })) {
+                if (req.file) {
+                    removeImage(req.file.filename, req.file.widths)
+                }
+                return res.json({ success: false, message: "SKU already used by another item" })
+            }
+            food.sku = sku;
+        }
+
+        const oldImage = food.image;
+        const oldWidths = food.imageWidths;
+        ["name", "description", "price", "category"].forEach((field) => {
+            if (req.body[field] !== undefined) {
+                food[field] = req.body[field];
+            }
+        })
+        if (req.body.available !== undefined) {
+            food.available = req.body.available === true || req.body.available === "true";
+        }
+        if (req.body.stock !== undefined) {
+            food.stock = parseStock(req.body.stock);
+        }
+        try {
+            if (req.body.optionGroups !== undefined) {
+                food.optionGroups = parseOptionGroups(req.body.optionGroups);
+            }
+            if (req.body.dietaryTags !== undefined) {
+                food.dietaryTags = parseList(req.body.dietaryTags);
+            }
+            if (req.body.allergens !== undefined) {
+                food.allergens = parseList(req.body.allergens);
+            }
+            if (req.body.nutrition !== undefined) {
+                food.nutrition = parseNutrition(req.body.nutrition);
+            }
+            if (req.body.schedule !== undefined) {
+                food.schedule = parseSchedule(req.body.schedule);
+            }
+        } catch (error) {
+            if (req.file) {
+                removeImage(req.file.filename, req.file.widths)
+            }
+            return res.json({ success: false, message: error.message })
+        }
+        if (req.file) {
+            food.image = req.file.filename;
+            food.imageWidths = req.file.widths;
+        }
+        await food.save();
+
+        // the old file goes only once the new one is saved on the item
+        if (req.file) {
+            removeImage(oldImage, oldWidths)
+        }
+        res.json({ success: true, message: "Food Updated" })
+    } catch (error) {
+        console.log(error);
+        if (req.file) {
+            removeImage(req.file.filename, req.file.widths)
+        }
+        res.json({ success: false, message: "Error" })
+    }
+}
+
+// every food item for the admin panel, ?archived=true lists only the archived ones.
+// ?at= previews the availability at another moment
+const listAllFood = async (req, res) => {
+    try {
+        let at;
+        try {
+            at = parseMoment(req.query.at);
+        } catch (error) {
+            return res.json({ success: false, message: error.message })
+        }
+        const filter = req.query.archived === "true" ? { archivedAt: { $ne: null } } : { archivedAt: null };
+        const foods = await foodModel.find(filter).sort({ category: 1, name: 1 });
+        res.json({ success: true, data: await flagAvailability(foods, at), at, timeZone: storeTimeZone() })
+    } catch (error) {
+        console.log(error);
+        res.json({ success: false, message: "Error" })
+    }
+}
+
+// takes an item off the menu without deleting it
+const archiveFood = async (req, res) => {
+    try {
+        const food = await foodModel.findOneAndUpdate({ _id: req.body.id, archivedAt: null }, { archivedAt: new Date() });
+        if (!food) {
+            return res.json({ success: false, message: "Food not found or already archived" })
+        }
+        res.json({ success: true, message: "Food Archived" })
+    } catch (error) {
+        console.log(error);
+        res.json({ success: false, message: "Error" })
+    }
+}
+
+const restoreFood = async (req, res) => {
+    try {
+        const food = await foodModel.findOneAndUpdate({ _id: req.body.id, archivedAt: { $ne: null } }, { archivedAt: null });
+        if (!food) {
+            return res.json({ success: false, message: "Food not found or not archived" })
+        }
+        res.json({ success: true, message: "Food Restored" })
     } catch (error) {
         console.log(error);
         res.json({ success: false, message: "Error" })
     }
 }
 
-// delete food
+// permanent delete, only for archived items and confirmed by sending the item name as confirm
 const removeFood = async (req, res) => {
     try {
 
         const food = await foodModel.findById(req.body.id);
-        fs.unlink(`uploads/${food.image}`, () => { })
+        if (!food) {
+            return res.json({ success: false, message: "Food not found" })
+        }
+        if (!food.archivedAt) {
+            return res.json({ success: false, message: "Archive the item before deleting it" })
+        }
+        if (req.body.confirm !== food.name) {
+            return res.json({ success: false, message: "Type the item name to confirm the delete" })
+        }
 
         await foodModel.findByIdAndDelete(req.body.id)
-        res.json({ success: true, message: "Food Removed" })
+        removeImage(food.image, food.imageWidths)
+        res.json({ success: true, message: "Food Deleted" })
 
     } catch (error) {
         console.log(error);
@@ -51,4 +321,4 @@ const removeFood = async (req, res) => {
 
 }
 
-export { listFood, addFood, removeFood }
\ No newline at end of file
+export { listFood, listAllFood, suggestFood, getFood, addFood, updateFood, archiveFood, restoreFood, removeFood }
\ No newline at end of file
@@ -1,5 +1,10 @@
 import orderModel from "../models/orderModel.js";
 import userModel from "../models/userModel.js"
+import { findUnavailableItems, reserveStock, restoreStock } from "../utils/inventory.js";
+import { resolveOrderItems } from "../utils/foodOptions.js";
+import { findClosedItems } from "../utils/schedule.js";
+import { deliveryFee, roundPrice } from "../utils/cart.js";
+import { evaluateCoupon, findCoupon, releaseCoupon, reserveCoupon } from "../utils/coupons.js";
 import Stripe from "stripe";
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
@@ -7,50 +12,164 @@ const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 const currency = "inr";
 const deliveryCharge = 50;
 const frontend_URL = 'https://tomato-frontend-ds0g.onrender.com';
+// how long the customer has to pay, 30 minutes is the shortest Stripe accepts
+const checkoutMinutes = 30;
 
-// Placing User Order for Frontend
-const placeOrder = async (req, res) => {
-
-    try {
-        const newOrder = new orderModel({
-            userId: req.body.userId,
-            items: req.body.items,
-            amount: req.body.amount,
-            address: req.body.address,
-        })
-        await newOrder.save();
-        await userModel.findByIdAndUpdate(req.body.userId, { cartData: {} });
-
-        const line_items = req.body.items.map((item) => ({
-            price_data: {
-              currency: "inr",
-              product_data: {
-                name: item.name
-              },
-              unit_amount: item.price*100*80
+// Stripe checkout of an order, prices in the order are in dollars and charged in rupees
+const createCheckoutSession = async (order) => {
+    const line_items = order.items.map((item) => ({
+        price_data: {
+            currency: "inr",
+            product_data: {
+                name: item.options.length > 0 ? `${item.name} (${item.options.map((option) => option.name).join(", ")})` : item.name
             },
-            quantity: item.quantity
-          }))
+            unit_amount: Math.round(item.price*100*80)
+        },
+        quantity: item.quantity
+    }))
 
+    // free delivery drops the delivery line, the other discounts go to Stripe as a one-off coupon
+    const coupon = order.coupon;
+    const deliveryWaived = coupon && coupon.discounts.some((line) => line.delivery);
+    if (!deliveryWaived) {
         line_items.push({
             price_data:{
                 currency:"inr",
                 product_data:{
                     name:"Delivery Charge"
                 },
-                unit_amount: 5*80*100
+                unit_amount: Math.round(order.deliveryFee*100*80)
             },
             quantity:1
         })
-        
-          const session = await stripe.checkout.sessions.create({
-            success_url: `http://localhost:5173/verify?success=true&orderId=${newOrder._id}`,
-            cancel_url: `http://localhost:5173/verify?success=false&orderId=${newOrder._id}`,
-            line_items: line_items,
-            mode: 'payment',
-          });
-      
-          res.json({success:true,session_url:session.url});
+    }
+
+    let discounts;
+    const itemDiscount = coupon ? roundPrice(coupon.discounts.filter((line) => !line.delivery).reduce((sum, line) => sum + line.amount, 0)) : 0;
+    if (itemDiscount > 0) {
+        const stripeCoupon = await stripe.coupons.create({
+            amount_off: Math.round(itemDiscount*100*80),
+            currency: "inr",
+            duration: "once",
+            max_redemptions: 1,
+            name: coupon.code
+        });
+        discounts = [{ coupon: stripeCoupon.id }];
+    }
+
+    return stripe.checkout.sessions.create({
+        success_url: `http://localhost:5173/verify?success=true&orderId=${order._id}`,
+        cancel_url: `http://localhost:5173/verify?success=false&orderId=${order._id}`,
+        line_items: line_items,
+        discounts,
+        mode: 'payment',
+        expires_at: Math.floor(order.expiresAt.getTime() / 1000),
+    });
+}
+
+// gives back the stock and the promo code held by an order that won't be paid
+const releaseOrder = async (order) => {
+    await restoreStock(order.stockDeducted);
+    if (order.coupon && !order.coupon.released) {
+        await releaseCoupon(order.coupon.code);
+    }
+}
+
+// unpaid orders whose checkout expired (e.g. the customer closed the Stripe tab) are dropped,
+// a few extra minutes are left for the payments that completed right before the expiry
+const releaseExpiredOrders = async () => {
+    try {
+        const expired = await orderModel.find({ payment: false, expiresAt: { $lt: new Date(Date.now() - 5 * 60 * 1000) } }, { _id: 1 });
+        for (const { _id } of expired) {
+            const order = await orderModel.findOneAndDelete({ _id, payment: false });
+            if (order) {
+                await releaseOrder(order);
+            }
+        }
+    } catch (error) {
+        console.log(error);
+    }
+}
+
+// Placing User Order for Frontend
+const placeOrder = async (req, res) => {
+
+    try {
+        const { items, error } = await resolveOrderItems(req.body.items || []);
+        if (error) {
+            return res.json({ success: false, message: error })
+        }
+        if (items.length === 0) {
+            return res.json({ success: false, message: "Your cart is empty" })
+        }
+
+        const unavailable = await findUnavailableItems(items);
+        if (unavailable.length > 0) {
+            return res.json({ success: false, message: `Not available right now: ${unavailable.join(", ")}`, unavailable })
+        }
+        const closed = await findClosedItems(items);
+        if (closed.length > 0) {
+            return res.json({ success: false, message: `Not served at this time: ${closed.join(", ")}`, unavailable: closed })
+        }
+
+        // the amount is worked out here, with the promo code of the cart when there is one
+        const subtotal = roundPrice(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+        const user = await userModel.findById(req.body.userId, { cartCoupon: 1 });
+        let coupon = null;
+        if (user.cartCoupon) {
+            const lines = items.map((item) => ({ itemId: item._id, category: item.category, lineTotal: roundPrice(item.price * item.quantity) }));
+            const { discounts, error } = await evaluateCoupon(await findCoupon(user.cartCoupon), { userId: req.body.userId, lines, subtotal, deliveryFee });
+            if (error) {
+                return res.json({ success: false, message: `${error}, remove the promo code to order without it` })
+            }
+            if (!(await reserveCoupon(user.cartCoupon))) {
+                return res.json({ success: false, message: `${user.cartCoupon} has been fully redeemed` })
+            }
+            coupon = { code: user.cartCoupon, discounts };
+        }
+
+        // the stock is held until the order is paid or its checkout expires,
+        // the checks above don't stop two checkouts racing for the last items
+        const stockDeducted = await reserveStock(items);
+        if (!stockDeducted) {
+            if (coupon) {
+                await releaseCoupon(coupon.code);
+            }
+            const soldOut = await findUnavailableItems(items);
+            return res.json({ success: false, message: `Not available right now: ${soldOut.join(", ")}`, unavailable: soldOut })
+        }
+
+        const discount = coupon ? roundPrice(coupon.discounts.reduce((sum, line) => sum + line.amount, 0)) : 0;
+
+        const newOrder = new orderModel({
+            userId: req.body.userId,
+            items,
+            subtotal,
+            deliveryFee,
+            discount,
+            coupon,
+            amount: roundPrice(subtotal + deliveryFee - discount),
+            address: req.body.address,
+            stockDeducted,
+            expiresAt: new Date(Date.now() + checkoutMinutes * 60 * 1000),
+        })
+
+        // the order is only kept once Stripe has its checkout session,
+        // a failed checkout leaves the stock, the cart and the promo code as they were
+        let session;
+        try {
+            session = await createCheckoutSession(newOrder);
+            await newOrder.save();
+        } catch (error) {
+            await restoreStock(stockDeducted);
+            if (coupon) {
+                await releaseCoupon(coupon.code);
+            }
+            throw error;
+        }
+        await userModel.findByIdAndUpdate(req.body.userId, { cartData: {}, cartCoupon: null, $inc: { cartVersion: 1 } });
+
+        res.json({success:true,session_url:session.url});
 
     } catch (error) {
         console.log(error);
@@ -83,7 +202,30 @@ const userOrders = async (req, res) => {
 const updateStatus = async (req, res) => {
     console.log(req.body);
     try {
-        await orderModel.findByIdAndUpdate(req.body.orderId, { status: req.body.status });
+        // the stock and the promo code of a cancelled order are given back, so it can't be reopened
+        const current = await orderModel.findOneAndUpdate({ _id: req.body.orderId, status: { $ne: "Cancelled" } }, { status: req.body.status });
+        if (!current) {
+            const exists = await orderModel.exists({ _id: req.body.orderId });
+            return res.json({ success: false, message: exists ? "A cancelled order can't be reopened" : "Order not found" })
+        }
+        if (req.body.status === "Cancelled") {
+            // clearing stockDeducted first makes sure the stock is only given back once
+            const order = await orderModel.findOneAndUpdate(
+                { _id: req.body.orderId, "stockDeducted.0": { $exists: true } },
+                { stockDeducted: [] }
+            );
+            if (order) {
+                await restoreStock(order.stockDeducted);
+            }
+            // same for the use of the promo code
+            const withCoupon = await orderModel.findOneAndUpdate(
+                { _id: req.body.orderId, coupon: { $ne: null }, "coupon.released": { $ne: true } },
+                { "coupon.released": true }
+            );
+            if (withCoupon) {
+                await releaseCoupon(withCoupon.coupon.code);
+            }
+        }
         res.json({ success: true, message: "Status Updated" })
     } catch (error) {
         res.json({ success: false, message: "Error" })
@@ -99,7 +241,11 @@ const verifyOrder = async (req, res) => {
             res.json({ success: true, message: "Paid" })
         }
         else{
-            await orderModel.findByIdAndDelete(orderId)
+            // only an unpaid order can be dropped, this endpoint needs no login
+            const order = await orderModel.findOneAndDelete({ _id: orderId, payment: false })
+            if (order) {
+                await releaseOrder(order);
+            }
             res.json({ success: false, message: "Not Paid" })
         }
     } catch (error) {
@@ -108,4 +254,4 @@ const verifyOrder = async (req, res) => {
 
 }
 
-export { placeOrder, listOrders, userOrders, updateStatus ,verifyOrder }
+export { placeOrder, listOrders, userOrders, updateStatus ,verifyOrder, releaseExpiredOrders }
@@ -0,0 +1,121 @@
+import reviewModel from "../models/reviewModel.js";
+import foodModel from "../models/foodModel.js";
+import orderModel from "../models/orderModel.js";
+import userModel from "../models/userModel.js";
+
+// only customers who got the dish delivered can review it
+const hasDeliveredOrder = (userId, foodId) => orderModel.exists({ userId, status: "Delivered", "items._id": String(foodId) });
+
+// recomputes the average & count stored on the food item from its visible reviews
+const updateFoodRating = async (foodId) => {
+    const [stats] = await reviewModel.aggregate([
+        { $match: { foodId: String(foodId), hidden: false } },
+        { $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } } }
+    ]);
+    await foodModel.findByIdAndUpdate(foodId, {
+        rating: { average: stats ? Math.round(stats.average * 10) / 10 : 0, count: stats ? stats.count : 0 }
+    });
+}
+
+const pageParams = (query) => {
+    const limit = Math.min(Math.max(Number(query.limit) || 10, 1), 50);
+    const page = Math.max(Number(query.page) || 1, 1);
+    return { page, limit };
+}
+
+// visible reviews of a dish, newest first, ?foodId= & ?page= & ?limit=
+const listReviews = async (req, res) => {
+    try {
+        const { page, limit } = pageParams(req.query);
+        const filter = { foodId: String(req.query.foodId), hidden: false };
+        const [reviews, total] = await Promise.all([
+            reviewModel.find(filter).select({ userId: 0 }).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+            reviewModel.countDocuments(filter)
+        ]);
+        res.json({ success: true, data: reviews, pagination: { page, limit, total, pages: Math.ceil(total / limit) } })
+    } catch (error) {
+        console.log(error);
+        res.json({ success: false, message: "Error" })
+    }
+}
+
+// whether the user can review a dish, with their review if they already wrote one
+const reviewStatus = async (req, res) => {
+    try {
+        const [canReview, review] = await Promise.all([
+            hasDeliveredOrder(req.body.userId, req.body.foodId),
+            reviewModel.findOne({ foodId: String(req.body.foodId), userId: req.body.userId })
+        ]);
+        res.json({ success: true, canReview: Boolean(canReview), review })
+    } catch (error) {
+        console.log(error);
+        res.json({ success: false, message: "Error" })
+    }
+}
+
+// posts or edits the user's review of a dish
+const addReview = async (req, res) => {
+    const { userId, foodId, comment } = req.body;
+    const rating = Number(req.body.rating);
+    try {
+        if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+            return res.json({ success: false, message: "Rating must be between 1 and 5 stars" })
+        }
+        if (!(await foodModel.exists({ _id: foodId }))) {
+            return res.json({ success: false, message: "Food not found" })
+        }
+        if (!(await hasDeliveredOrder(userId, foodId))) {
+            return res.json({ success: false, message: "You can review dishes once an order with them is delivered" })
+        }
+        const user = await userModel.findById(userId);
+        const review = await reviewModel.findOneAndUpdate(
+            { foodId: String(foodId), userId },
+            { rating, comment: String(comment || "").trim(), userName: user.name },
+            { upsert: true, new: true, runValidators: true }
+        );
+        await updateFoodRating(foodId);
+        res.json({ success: true, message: "Review Saved", data: review })
+    } catch (error) {
+        console.log(error);
+        res.json({ success: false, message: "Error" })
+    }
+}
+
+// every review for moderation, ?hidden=true|false filters, ?page= & ?limit=
+const listAllReviews = async (req, res) => {
+    try {
+        const { page, limit } = pageParams(req.query);
+        const filter = {};
+        if (req.query.hidden === "true" || req.query.hidden === "false") {
+            filter.hidden = req.query.hidden === "true";
+        }
+        const [reviews, total] = await Promise.all([
+            reviewModel.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+            reviewModel.countDocuments(filter)
+        ]);
+        const foods = await foodModel.find({ _id: { $in: reviews.map((review) => review.foodId) } }, { name: 1 });
+        const names = new Map(foods.map((food) => [food._id.toString(), food.name]));
+        const data = reviews.map((review) => ({ ...review, foodName: names.get(review.foodId) || "Deleted item" }));
+        res.json({ success: true, data, pagination: { page, limit, total, pages: Math.ceil(total / limit) } })
+    } catch (error) {
+        console.log(error);
+        res.json({ success: false, message: "Error" })
+    }
+}
+
+// hides or shows a review again
+const moderateReview = async (req, res) => {
+    try {
+        const review = await reviewModel.findByIdAndUpdate(req.body.id, { hidden: req.body.hidden === true || req.body.hidden === "true" }, { new: true });
+        if (!review) {
+            return res.json({ success: false, message: "Review not found" })
+        }
+        await updateFoodRating(review.foodId);
+        res.json({ success: true, message: review.hidden ? "Review Hidden" : "Review Visible" })
+    } catch (error) {
+        console.log(error);
+        res.json({ success: false, message: "Error" })
+    }
+}
+
+export { listReviews, reviewStatus, addReview, listAllReviews, moderateReview }
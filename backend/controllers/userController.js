@@ -1,31 +1,151 @@
 import jwt from "jsonwebtoken";
 import bcrypt from "bcrypt";
 import validator from "validator";
+import crypto from "crypto";
 import userModel from "../models/userModel.js";
+import refreshTokenModel from "../models/refreshTokenModel.js";
+import { sendMail } from "../utils/mailer.js";
+import { checkLoginAllowed, lockoutMessage, recordLoginFailure, recordLoginSuccess } from "../utils/loginLimiter.js";
+import { generateRecoveryCodes, generateSecret, hashRecoveryCode, otpauthUrl, qrCodeDataUrl, verifyTotp } from "../utils/twoFactor.js";
 
 //create token
 const createToken = (id) => {
-    return jwt.sign({id}, process.env.JWT_SECRET);
+    return jwt.sign({id}, process.env.JWT_SECRET, {expiresIn: process.env.ACCESS_TOKEN_TTL || "15m"});
+}
+
+// only the hash is stored, the raw refresh token is known to the client alone
+const hashToken = (token) => {
+    return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+//create refresh token
+const createRefreshToken = async (userId) => {
+    const refreshToken = crypto.randomBytes(48).toString("hex");
+    const refreshTokenDays = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+    await refreshTokenModel.create({
+        userId: userId.toString(),
+        tokenHash: hashToken(refreshToken),
+        expiresAt: new Date(Date.now() + refreshTokenDays * 24 * 60 * 60 * 1000)
+    })
+    return refreshToken;
+}
+
+//access token & refresh token pair sent to the client on login
+const createSession = async (userId) => {
+    const token = createToken(userId)
+    const refreshToken = await createRefreshToken(userId)
+    return {token, refreshToken}
+}
+
+//revoke every refresh token of the user (logout everywhere)
+const revokeAllSessions = async (userId) => {
+    await refreshTokenModel.updateMany({userId: userId.toString(), revokedAt: null}, {revokedAt: new Date()})
+}
+
+//email a signed link that confirms the address belongs to the user
+const sendVerificationEmail = async (user) => {
+    const verifyToken = jwt.sign({id: user._id, email: user.email, purpose: "verify-email"}, process.env.JWT_SECRET, {expiresIn: "1d"})
+    const link = `${process.env.FRONTEND_URL || "http://localhost:5173"}/verify-email?token=${verifyToken}`
+    await sendMail({
+        to: user.email,
+        subject: "Verify your Tomato email",
+        text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below. It expires in 24 hours.\n\n${link}`,
+        html: `<p>Hi ${user.name},</p><p>Please confirm your email address by opening the link below. It expires in 24 hours.</p><p><a href="${link}">Verify email</a></p>`
+    })
+}
+
+// consume a TOTP code, a code can only be used once
+const useTotpCode = async (user, code) => {
+    const step = verifyTotp(code, user.twoFactor.secret)
+    if(step === null){
+        return false
+    }
+    const result = await userModel.updateOne({_id: user._id, "twoFactor.lastUsedStep": {$lt: step}}, {"twoFactor.lastUsedStep": step})
+    return result.modifiedCount === 1
+}
+
+// consume one of the recovery codes
+const useRecoveryCode = async (user, recoveryCode) => {
+    const hash = hashRecoveryCode(recoveryCode)
+    const result = await userModel.updateOne({_id: user._id, "twoFactor.recoveryCodes": hash}, {$pull: {"twoFactor.recoveryCodes": hash}})
+    return result.modifiedCount === 1
+}
+
+//check email, password & 2FA code, returns the user or the error response to send
+const authenticate = async ({email, password, code, recoveryCode}, ip, roles) => {
+    const lockedFor = await checkLoginAllowed(ip, email)
+    if(lockedFor){
+        return {error: {success:false, message: lockoutMessage(lockedFor), retryAfter: lockedFor}}
+    }
+
+    const user = await userModel.findOne({email})
+    const isMatch = user ? await bcrypt.compare(password || "", user.password) : false
+
+    if(!isMatch){
+        // unknown emails count too, otherwise they'd be free to probe
+        const retryAfter = await recordLoginFailure(ip, email)
+        if(retryAfter){
+            return {error: {success:false, message: lockoutMessage(retryAfter), retryAfter}}
+        }
+        return {error: {success:false, message: user ? "Invalid credentials" : "User does not exist"}}
+    }
+
+    if(roles && !roles.includes(user.role)){
+        return {error: {success:false, message: "Access Denied"}}
+    }
+
+    if(user.twoFactor.enabled){
+        if(!code && !recoveryCode){
+            return {error: {success:false, twoFactorRequired:true, message: "Enter the code from your authenticator app"}}
+        }
+        const valid = code ? await useTotpCode(user, code) : await useRecoveryCode(user, recoveryCode)
+        if(!valid){
+            // wrong codes count as failed logins, so codes can't be guessed either
+            const retryAfter = await recordLoginFailure(ip, email)
+            if(retryAfter){
+                return {error: {success:false, message: lockoutMessage(retryAfter), retryAfter}}
+            }
+            return {error: {success:false, twoFactorRequired:true, message: "Invalid authentication code"}}
+        }
+    }
+    else if(user.role === "admin"){
+        // admins have to enroll before they get a session, the setup token only works for the 2FA setup routes
+        const setupToken = jwt.sign({id: user._id, purpose: "2fa-setup"}, process.env.JWT_SECRET, {expiresIn: "10m"})
+        return {error: {success:false, twoFactorSetupRequired:true, setupToken, message: "Two-factor authentication is required for admin accounts"}}
+    }
+
+    await recordLoginSuccess(ip, email)
+    return {user}
 }
 
 //login user
 const loginUser = async (req,res) => {
-    const {email, password} = req.body;
     try{
-        const user = await userModel.findOne({email})
+        const {user, error} = await authenticate(req.body, req.ip)
 
         if(!user){
-            return res.json({success:false,message: "User does not exist"})
+            return res.json(error)
         }
 
-        const isMatch = await bcrypt.compare(password, user.password)
+        const {token, refreshToken} = await createSession(user._id)
+        res.json({success:true,token,refreshToken})
+    } catch (error) {
+        console.log(error);
+        res.json({success:false,message:"Error"})
+    }
+}
+
+//login to admin panel (staff & admin only)
+const adminLogin = async (req,res) => {
+    try{
+        const {user, error} = await authenticate(req.body, req.ip, ["staff","admin"])
 
-        if(!isMatch){
-            return res.json({success:false,message: "Invalid credentials"})
+        if(!user){
+            return res.json(error)
         }
 
-        const token = createToken(user._id)
-        res.json({success:true,token})
+        const {token, refreshToken} = await createSession(user._id)
+        res.json({success:true,token,refreshToken,role:user.role,name:user.name})
     } catch (error) {
         console.log(error);
         res.json({success:false,message:"Error"})
@@ -56,8 +176,374 @@ const registerUser = async (req,res) => {
 
         const newUser = new userModel({name, email, password: hashedPassword})
         const user = await newUser.save()
-        const token = createToken(user._id)
-        res.json({success:true,token})
+        // a failed mail shouldn't fail the signup, it can be sent again later
+        await sendVerificationEmail(user).catch((error) => console.log(error))
+        const {token, refreshToken} = await createSession(user._id)
+        res.json({success:true,token,refreshToken})
+
+    } catch(error){
+        console.log(error);
+        res.json({success:false,message:"Error"})
+    }
+}
+
+//create staff account (staff & admin only)
+const createStaff = async (req,res) => {
+    const {name, email, password} = req.body;
+    try{
+        const exists = await userModel.findOne({email})
+        if(exists){
+            return res.json({success:false,message: "User already exists"})
+        }
+
+        if(!validator.isEmail(email)){
+            return res.json({success:false,message: "Please enter a valid email"})
+        }
+        if(password.length<8){
+            return res.json({success:false,message: "Please enter a strong password"})
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        const hashedPassword = await bcrypt.hash(password, salt)
+
+        const newUser = new userModel({name, email, password: hashedPassword, role: "staff", verified: true})
+        await newUser.save()
+        res.json({success:true,message:"Staff Account Created"})
+
+    } catch(error){
+        console.log(error);
+        res.json({success:false,message:"Error"})
+    }
+}
+
+//exchange a refresh token for a new token pair (the old refresh token is revoked)
+const refreshSession = async (req,res) => {
+    const {refreshToken} = req.body;
+    try{
+        if(!refreshToken){
+            return res.json({success:false,message:"Not Authorized Login Again"})
+        }
+
+        const tokenHash = hashToken(refreshToken)
+        const newRefreshToken = crypto.randomBytes(48).toString("hex")
+        const current = await refreshTokenModel.findOneAndUpdate(
+            {tokenHash, revokedAt: null, expiresAt: {$gt: new Date()}},
+            {revokedAt: new Date(), replacedBy: hashToken(newRefreshToken)}
+        )
+
+        if(!current){
+            // a revoked token being used again means it leaked, end every session of that user
+            const reused = await refreshTokenModel.findOne({tokenHash, revokedAt: {$ne: null}})
+            if(reused){
+                await revokeAllSessions(reused.userId)
+            }
+            return res.json({success:false,message:"Not Authorized Login Again"})
+        }
+
+        await refreshTokenModel.create({
+            userId: current.userId,
+            tokenHash: hashToken(newRefreshToken),
+            expiresAt: current.expiresAt
+        })
+        const token = createToken(current.userId)
+        res.json({success:true,token,refreshToken:newRefreshToken})
+
+    } catch(error){
+        console.log(error);
+        res.json({success:false,message:"Error"})
+    }
+}
+
+//logout user (revokes the refresh token)
+const logoutUser = async (req,res) => {
+    const {refreshToken} = req.body;
+    try{
+        if(refreshToken){
+            await refreshTokenModel.findOneAndUpdate({tokenHash: hashToken(refreshToken), revokedAt: null}, {revokedAt: new Date()})
+        }
+        res.json({success:true,message:"Logged Out"})
+    } catch(error){
+        console.log(error);
+        res.json({success:false,message:"Error"})
+    }
+}
+
+//send password reset link
+const forgotPassword = async (req,res) => {
+    const {email} = req.body;
+    // same answer whether the account exists or not, so emails can't be probed
+    const message = "If an account exists for this email, a reset link has been sent"
+    try{
+        const user = await userModel.findOne({email})
+        if(!user){
+            return res.json({success:true,message})
+        }
+
+        const resetToken = crypto.randomBytes(32).toString("hex")
+        const resetMinutes = Number(process.env.RESET_TOKEN_MINUTES) || 30
+        user.resetPasswordToken = hashToken(resetToken)
+        user.resetPasswordExpires = new Date(Date.now() + resetMinutes * 60 * 1000)
+        await user.save()
+
+        const link = `${process.env.FRONTEND_URL || "http://localhost:5173"}/reset-password?token=${resetToken}`
+        // a failing mail gets the same answer too, it would tell that the account exists
+        await sendMail({
+            to: user.email,
+            subject: "Reset your Tomato password",
+            text: `Hi ${user.name},\n\nUse the link below to choose a new password. It expires in ${resetMinutes} minutes and can be used once.\n\n${link}\n\nIf you didn't ask for this, you can ignore this email.`,
+            html: `<p>Hi ${user.name},</p><p>Use the link below to choose a new password. It expires in ${resetMinutes} minutes and can be used once.</p><p><a href="${link}">Reset password</a></p><p>If you didn't ask for this, you can ignore this email.</p>`
+        }).catch((error) => console.log(error))
+        res.json({success:true,message})
+
+    } catch(error){
+        console.log(error);
+        res.json({success:false,message:"Error"})
+    }
+}
+
+//reset password with the token from the email
+const resetPassword = async (req,res) => {
+    const {token, password} = req.body;
+    try{
+        if(!token){
+            return res.json({success:false,message:"Invalid or expired reset link"})
+        }
+        if(!password || password.length<8){
+            return res.json({success:false,message: "Please enter a strong password"})
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        const hashedPassword = await bcrypt.hash(password, salt)
+
+        // matching & clearing the token in one update makes it single-use
+        const user = await userModel.findOneAndUpdate(
+            {resetPasswordToken: hashToken(token), resetPasswordExpires: {$gt: new Date()}},
+            {password: hashedPassword, $unset: {resetPasswordToken: 1, resetPasswordExpires: 1}}
+        )
+        if(!user){
+            return res.json({success:false,message:"Invalid or expired reset link"})
+        }
+
+        await revokeAllSessions(user._id)
+        res.json({success:true,message:"Password Updated"})
+
+    } catch(error){
+        console.log(error);
+        res.json({success:false,message:"Error"})
+    }
+}
+
+//confirm email with the token from the verification link
+const verifyEmail = async (req,res) => {
+    const {token} = req.body;
+    try{
+        const decoded = jwt.verify(token, process.env.JWT_SECRET)
+        if(decoded.purpose !== "verify-email"){
+            return res.json({success:false,message:"Invalid or expired verification link"})
+        }
+
+        // the link only counts for the address it was sent to
+        const user = await userModel.findOneAndUpdate({_id: decoded.id, email: decoded.email}, {verified: true})
+        if(!user){
+            return res.json({success:false,message:"Invalid or expired verification link"})
+        }
+        res.json({success:true,message:"Email Verified"})
+
+    } catch(error){
+        console.log(error);
+        res.json({success:false,message:"Invalid or expired verification link"})
+    }
+}
+
+//send the verification email again
+const resendVerification = async (req,res) => {
+    try{
+        const user = await userModel.findById(req.body.userId)
+        if(user.verified){
+            return res.json({success:false,message:"Email already verified"})
+        }
+        await sendVerificationEmail(user)
+        res.json({success:true,message:"Verification email sent"})
+
+    } catch(error){
+        console.log(error);
+        res.json({success:false,message:"Error"})
+    }
+}
+
+//get user profile
+const getProfile = async (req,res) => {
+    try{
+        const user = await userModel.findById(req.body.userId)
+        res.json({success:true,data:{name:user.name,email:user.email,role:user.role,verified:user.verified,twoFactorEnabled:user.twoFactor.enabled}})
+    } catch(error){
+        console.log(error);
+        res.json({success:false,message:"Error"})
+    }
+}
+
+//update name & email
+const updateProfile = async (req,res) => {
+    const {userId, name, email} = req.body;
+    try{
+        if(!name || !name.trim()){
+            return res.json({success:false,message:"Please enter your name"})
+        }
+        if(!validator.isEmail(email)){
+            return res.json({success:false,message: "Please enter a valid email"})
+        }
+
+        const user = await userModel.findById(userId)
+        const emailChanged = email !== user.email
+        if(emailChanged){
+            const exists = await userModel.findOne({email})
+            if(exists){
+                return res.json({success:false,message: "User already exists"})
+            }
+            // the new address has to be confirmed again
+            user.email = email
+            user.verified = false
+        }
+        user.name = name.trim()
+        await user.save()
+
+        if(emailChanged){
+            await sendVerificationEmail(user).catch((error) => console.log(error))
+        }
+        res.json({success:true,message:emailChanged ? "Profile Updated, please verify your new email" : "Profile Updated",data:{name:user.name,email:user.email,role:user.role,verified:user.verified}})
+
+    } catch(error){
+        console.log(error);
+        res.json({success:false,message:"Error"})
+    }
+}
+
+//change password (needs the current one)
+const changePassword = async (req,res) => {
+    const {userId, currentPassword, newPassword} = req.body;
+    try{
+        const user = await userModel.findById(userId)
+        const isMatch = await bcrypt.compare(currentPassword || "", user.password)
+        if(!isMatch){
+            return res.json({success:false,message:"Current password is incorrect"})
+        }
+        if(!newPassword || newPassword.length<8){
+            return res.json({success:false,message: "Please enter a strong password"})
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        user.password = await bcrypt.hash(newPassword, salt)
+        await user.save()
+
+        // log out other devices, this one gets a fresh session
+        await revokeAllSessions(user._id)
+        const {token, refreshToken} = await createSession(user._id)
+        res.json({success:true,message:"Password Updated",token,refreshToken})
+
+    } catch(error){
+        console.log(error);
+        res.json({success:false,message:"Error"})
+    }
+}
+
+//start 2FA enrollment (staff & admin only), returns the secret as otpauth url & QR code
+const setupTwoFactor = async (req,res) => {
+    try{
+        const user = await userModel.findById(req.body.userId)
+        if(!["staff","admin"].includes(user.role)){
+            return res.json({success:false,message:"Access Denied"})
+        }
+        if(user.twoFactor.enabled){
+            return res.json({success:false,message:"Two-factor authentication is already enabled"})
+        }
+
+        // kept aside until a first code proves the app is set up
+        user.twoFactor.pendingSecret = generateSecret()
+        await user.save()
+
+        const url = otpauthUrl(user.email, user.twoFactor.pendingSecret)
+        const qrCode = await qrCodeDataUrl(url)
+        res.json({success:true,secret:user.twoFactor.pendingSecret,otpauthUrl:url,qrCode})
+
+    } catch(error){
+        console.log(error);
+        res.json({success:false,message:"Error"})
+    }
+}
+
+//finish 2FA enrollment with a first code, returns the recovery codes
+const enableTwoFactor = async (req,res) => {
+    const {userId, code, setupLogin} = req.body;
+    try{
+        const user = await userModel.findById(userId)
+        if(!user.twoFactor.pendingSecret){
+            return res.json({success:false,message:"Start the two-factor setup first"})
+        }
+
+        const step = verifyTotp(code, user.twoFactor.pendingSecret)
+        if(step === null){
+            return res.json({success:false,message:"Invalid authentication code"})
+        }
+
+        const {codes, hashes} = generateRecoveryCodes()
+        user.twoFactor = {enabled: true, secret: user.twoFactor.pendingSecret, pendingSecret: null, recoveryCodes: hashes, lastUsedStep: step}
+        await user.save()
+
+        // admins enrolling during login are logged in right away
+        if(setupLogin){
+            await recordLoginSuccess(req.ip, user.email)
+            const {token, refreshToken} = await createSession(user._id)
+            return res.json({success:true,message:"Two-factor authentication enabled",recoveryCodes:codes,token,refreshToken,role:user.role,name:user.name})
+        }
+        res.json({success:true,message:"Two-factor authentication enabled",recoveryCodes:codes})
+
+    } catch(error){
+        console.log(error);
+        res.json({success:false,message:"Error"})
+    }
+}
+
+//turn 2FA off (not allowed for admins)
+const disableTwoFactor = async (req,res) => {
+    const {userId, password, code} = req.body;
+    try{
+        const user = await userModel.findById(userId)
+        if(user.role === "admin"){
+            return res.json({success:false,message:"Two-factor authentication is required for admin accounts"})
+        }
+        if(!user.twoFactor.enabled){
+            return res.json({success:false,message:"Two-factor authentication is not enabled"})
+        }
+
+        const isMatch = await bcrypt.compare(password || "", user.password)
+        if(!isMatch || !(await useTotpCode(user, code))){
+            return res.json({success:false,message:"Invalid credentials"})
+        }
+
+        await userModel.updateOne({_id: user._id}, {twoFactor: {enabled: false, secret: null, pendingSecret: null, recoveryCodes: [], lastUsedStep: 0}})
+        res.json({success:true,message:"Two-factor authentication disabled"})
+
+    } catch(error){
+        console.log(error);
+        res.json({success:false,message:"Error"})
+    }
+}
+
+//replace the recovery codes, the old ones stop working
+const regenerateRecoveryCodes = async (req,res) => {
+    const {userId, code} = req.body;
+    try{
+        const user = await userModel.findById(userId)
+        if(!user.twoFactor.enabled){
+            return res.json({success:false,message:"Two-factor authentication is not enabled"})
+        }
+        if(!(await useTotpCode(user, code))){
+            return res.json({success:false,message:"Invalid authentication code"})
+        }
+
+        const {codes, hashes} = generateRecoveryCodes()
+        await userModel.updateOne({_id: user._id}, {"twoFactor.recoveryCodes": hashes})
+        res.json({success:true,message:"Recovery codes updated",recoveryCodes:codes})
 
     } catch(error){
         console.log(error);
@@ -65,4 +551,4 @@ const registerUser = async (req,res) => {
     }
 }
 
-export {loginUser, registerUser}
\ No newline at end of file
+export {loginUser, adminLogin, registerUser, createStaff, refreshSession, logoutUser, forgotPassword, resetPassword, verifyEmail, resendVerification, getProfile, updateProfile, changePassword, setupTwoFactor, enableTwoFactor, disableTwoFactor, regenerateRecoveryCodes}
\ No newline at end of file
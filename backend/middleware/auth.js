@@ -1,4 +1,5 @@
 import jwt from 'jsonwebtoken';
+import userModel from '../models/userModel.js';
 
 const authMiddleware = async (req, res, next) => {
     const { token } = req.headers;
@@ -7,11 +8,70 @@ const authMiddleware = async (req, res, next) => {
     }
     try {
         const token_decode =  jwt.verify(token, process.env.JWT_SECRET);
+        // single purpose tokens (e.g. email verification links) can't be used to log in
+        if (token_decode.purpose) {
+            return res.json({success:false,message:'Not Authorized Login Again'});
+        }
         req.body.userId = token_decode.id;
         next();
     } catch (error) {
+        // lets the clients know they can get a new token with their refresh token
+        if (error.name === "TokenExpiredError") {
+            return res.json({success:false,message:error.message,expired:true});
+        }
         return res.json({success:false,message:error.message});
     }
 }
 
-export default authMiddleware;
\ No newline at end of file
+// like authMiddleware but also accepts the short-lived token given to admins who still have to enroll in 2FA
+const twoFactorSetupMiddleware = async (req, res, next) => {
+    const { token } = req.headers;
+    if (!token) {
+        return res.json({success:false,message:'Not Authorized Login Again'});
+    }
+    try {
+        const token_decode =  jwt.verify(token, process.env.JWT_SECRET);
+        if (token_decode.purpose && token_decode.purpose !== "2fa-setup") {
+            return res.json({success:false,message:'Not Authorized Login Again'});
+        }
+        req.body.userId = token_decode.id;
+        req.body.setupLogin = token_decode.purpose === "2fa-setup";
+        next();
+    } catch (error) {
+        if (error.name === "TokenExpiredError") {
+            return res.json({success:false,message:error.message,expired:true});
+        }
+        return res.json({success:false,message:error.message});
+    }
+}
+
+// allow the request only for the given roles (use after authMiddleware)
+const authorizeRoles = (...roles) => {
+    return async (req, res, next) => {
+        try {
+            const user = await userModel.findById(req.body.userId);
+            if (!user || !roles.includes(user.role)) {
+                return res.json({success:false,message:'Access Denied'});
+            }
+            next();
+        } catch (error) {
+            return res.json({success:false,message:error.message});
+        }
+    }
+}
+
+// allow the request only once the user confirmed their email (use after authMiddleware)
+const requireVerified = async (req, res, next) => {
+    try {
+        const user = await userModel.findById(req.body.userId);
+        if (!user || !user.verified) {
+            return res.json({success:false,message:'Please verify your email first',unverified:true});
+        }
+        next();
+    } catch (error) {
+        return res.json({success:false,message:error.message});
+    }
+}
+
+export { authorizeRoles, requireVerified, twoFactorSetupMiddleware };
+export default authMiddleware;
@@ -0,0 +1,76 @@
+import multer from 'multer';
+import { storeImage } from '../utils/images.js';
+
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+const imageTypes = ["image/jpeg", "image/png", "image/webp"];
+
+// uploads are kept in memory, they are resized and put in storage by storeImage
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMAGE_BYTES, files: 1 },
+    fileFilter: (req, file, cb) => {
+        if (!imageTypes.includes(file.mimetype)) {
+            return cb(new Error("Only JPEG, PNG or WebP images are allowed"));
+        }
+        cb(null, true);
+    }
+})
+
+// single image upload answering with the usual { success, message } on a bad file,
+// the stored name ends up on req.file.filename and, with variants, the WebP widths on req.file.widths
+const uploadImage = (field, { variants = false } = {}) => (req, res, next) => {
+    upload.single(field)(req, res, async (err) => {
+        if (err) {
+            const message = err.code === "LIMIT_FILE_SIZE"
+                ? `Images can be at most ${MAX_IMAGE_BYTES / 1024 / 1024} MB`
+                : err.message;
+            return res.json({ success: false, message });
+        }
+        if (!req.file) {
+            return next();
+        }
+        try {
+            // the mime type is only what the client claims, decoding the file is the real check
+            const { filename, widths } = await storeImage(req.file, { variants });
+            req.file.filename = filename;
+            req.file.widths = widths;
+            next();
+        } catch (error) {
+            console.log(error);
+            res.json({ success: false, message: "The file is not a valid image" });
+        }
+    });
+}
+
+const MAX_CATALOG_BYTES = 50 * 1024 * 1024;
+
+const catalogUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_CATALOG_BYTES, files: 2 },
+    fileFilter: (req, file, cb) => {
+        const extension = file.originalname.toLowerCase().split(".").pop();
+        if (file.fieldname === "file" && !["csv", "json"].includes(extension)) {
+            return cb(new Error("The catalog must be a .csv or .json file"));
+        }
+        if (file.fieldname === "images" && extension !== "zip") {
+            return cb(new Error("Images must be uploaded as a .zip file"));
+        }
+        cb(null, true);
+    }
+})
+
+// catalog file ("file") & optional zip of images ("images") of the bulk import
+const uploadCatalog = (req, res, next) => {
+    catalogUpload.fields([{ name: "file", maxCount: 1 }, { name: "images", maxCount: 1 }])(req, res, (err) => {
+        if (err) {
+            const message = err.code === "LIMIT_FILE_SIZE"
+                ? `Files can be at most ${MAX_CATALOG_BYTES / 1024 / 1024} MB`
+                : err.message;
+            return res.json({ success: false, message });
+        }
+        next();
+    });
+}
+
+export { uploadImage, uploadCatalog }
@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+import { imageUrl } from "../utils/images.js";
+import scheduleWindowSchema from "./scheduleSchema.js";
+
+const categorySchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true },
+    image: { type: String, required: true },
+    sortOrder: { type: Number, default: 0 },
+    active: { type: Boolean, default: true },
+    // empty means the whole day, every day
+    schedule: { type: [scheduleWindowSchema], default: [] }
+}, { toJSON: { virtuals: true } })
+
+// the url comes from the storage driver
+categorySchema.virtual("imageUrl").get(function () {
+    return this.image ? imageUrl(this.image) : undefined;
+})
+
+const categoryModel = mongoose.models.category || mongoose.model("category", categorySchema);
+export default categoryModel;
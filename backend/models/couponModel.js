@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+const couponTypes = ["percentage", "fixed", "free_delivery"];
+
+const couponSchema = new mongoose.Schema({
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    description: { type: String, default: "" },
+    // percentage: value is the percent off, fixed: value is the amount off, free_delivery: value isn't used
+    type: { type: String, enum: couponTypes, required: true },
+    value: { type: Number, default: 0, min: 0 },
+    // subtotal of the whole cart needed before the code applies
+    minOrder: { type: Number, default: 0, min: 0 },
+    expiresAt: { type: Date, default: null },
+    // null means no limit
+    usageLimit: { type: Number, default: null, min: 1 },
+    perUserLimit: { type: Number, default: null, min: 1 },
+    // orders placed with the code, counted when the order is placed and given back when it fails or is cancelled
+    usedCount: { type: Number, default: 0, min: 0 },
+    // the discount only counts the matching lines, both empty means the whole cart
+    categories: { type: [String], default: [] },
+    items: { type: [String], default: [] },
+    active: { type: Boolean, default: true }
+}, { timestamps: true })
+
+couponSchema.path("value").validate(function (value) {
+    return this.type !== "percentage" || value <= 100;
+}, "a percentage can't be above 100")
+
+const couponModel = mongoose.models.coupon || mongoose.model("coupon", couponSchema);
+
+export { couponTypes };
+export default couponModel;
@@ -1,12 +1,74 @@
 import mongoose from "mongoose";
+import { imageSrcSet, imageUrl } from "../utils/images.js";
+import scheduleWindowSchema from "./scheduleSchema.js";
+
+const dietaryTags = ["vegetarian", "vegan", "gluten-free", "dairy-free", "halal", "spicy"];
+const allergens = ["gluten", "dairy", "eggs", "nuts", "peanuts", "soy", "fish", "shellfish", "sesame"];
+
+// option ids are kept across edits, cart lines and orders refer to them
+const optionSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    priceDelta: { type: Number, default: 0 }
+})
+
+const optionGroupSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    required: { type: Boolean, default: false },
+    minSelect: { type: Number, default: 0, min: 0 },
+    maxSelect: { type: Number, default: 1, min: 1 },
+    options: { type: [optionSchema], validate: (options) => options.length > 0 }
+})
 
 const foodSchema = new mongoose.Schema({
+    // stable key of the item for the catalog import, items without one are matched by _id
+    sku: { type: String, trim: true, unique: true, sparse: true },
     name: { type: String, required: true },
     description: { type: String, required: true },
     price: { type: Number, required: true},
     image: { type: String, required: true },
-    category:{ type:String, required:true}
+    // widths of the WebP copies of the image, empty for images uploaded before they existed
+    imageWidths: { type: [Number], default: [] },
+    category:{ type:String, required:true},
+    available: { type: Boolean, default: true },
+    // archived items are off the menu but kept, past orders still point at them
+    archivedAt: { type: Date, default: null },
+    // null means the stock is not tracked for this item
+    stock: { type: Number, default: null, min: 0 },
+    // when the item can be ordered, empty means whenever its category can
+    schedule: { type: [scheduleWindowSchema], default: [] },
+    optionGroups: { type: [optionGroupSchema], default: [] },
+    dietaryTags: { type: [{ type: String, enum: dietaryTags }], default: [] },
+    allergens: { type: [{ type: String, enum: allergens }], default: [] },
+    // kept in step with the visible reviews
+    rating: {
+        average: { type: Number, default: 0 },
+        count: { type: Number, default: 0 }
+    },
+    // per serving, calories in kcal and macros in grams
+    nutrition: {
+        calories: { type: Number, default: null, min: 0 },
+        protein: { type: Number, default: null, min: 0 },
+        carbs: { type: Number, default: null, min: 0 },
+        fat: { type: Number, default: null, min: 0 }
+    }
+}, { toJSON: { virtuals: true } })
+
+// image urls come from the storage driver
+foodSchema.virtual("imageUrl").get(function () {
+    return this.image ? imageUrl(this.image) : undefined;
 })
+foodSchema.virtual("imageSrcSet").get(function () {
+    return this.image ? imageSrcSet(this.image, this.imageWidths) : undefined;
+})
+
+// search, category & price filters of the food list
+foodSchema.index({ name: "text", description: "text" }, { weights: { name: 5, description: 1 } })
+foodSchema.index({ category: 1, price: 1 })
+foodSchema.index({ price: 1 })
+foodSchema.index({ name: 1 })
+foodSchema.index({ dietaryTags: 1 })
+foodSchema.index({ archivedAt: 1 })
 
 const foodModel = mongoose.models.food || mongoose.model("food", foodSchema);
+export { dietaryTags, allergens }
 export default foodModel;
\ No newline at end of file
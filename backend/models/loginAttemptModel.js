@@ -0,0 +1,15 @@
+import mongoose from "mongoose";
+
+const loginAttemptSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    failures: { type: Number, default: 0 },
+    lockouts: { type: Number, default: 0 },
+    lockedUntil: { type: Date, default: null },
+    expiresAt: { type: Date, required: true }
+})
+
+// forget about an ip/account once it has been quiet for a while
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const loginAttemptModel = mongoose.models.loginAttempt || mongoose.model("loginAttempt", loginAttemptSchema);
+export default loginAttemptModel;
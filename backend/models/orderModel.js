@@ -7,8 +7,19 @@ const orderSchema = new mongoose.Schema({
     address:{type:Object,required:true},
     status: {type:String,default:"Food Processing"},
     date: {type:Date,default:Date.now()},
-    payment:{type:Boolean,default:false}
+    payment:{type:Boolean,default:false},
+    // stock taken from each food when the order was placed, given back on a failed payment or cancel
+    stockDeducted: { type: Array, default: [] },
+    // end of the Stripe checkout, an order still unpaid after it gives its stock & promo code back
+    expiresAt: { type: Date, default: null },
+    subtotal: { type: Number, default: null },
+    deliveryFee: { type: Number, default: null },
+    discount: { type: Number, default: 0 },
+    // promo code used & the discount lines it gave, null when none
+    coupon: { type: Object, default: null }
 })
 
+orderSchema.index({ payment: 1, expiresAt: 1 })
+
 const orderModel = mongoose.models.order || mongoose.model("order", orderSchema);
 export default orderModel;
\ No newline at end of file
@@ -0,0 +1,15 @@
+import mongoose from "mongoose";
+
+const refreshTokenSchema = new mongoose.Schema({
+    userId: { type: String, required: true, index: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    replacedBy: { type: String, default: null }
+}, { timestamps: true })
+
+// let mongo drop expired tokens on its own
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const refreshTokenModel = mongoose.models.refreshToken || mongoose.model("refreshToken", refreshTokenSchema);
+export default refreshTokenModel;
@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+
+const reviewSchema = new mongoose.Schema({
+    foodId: { type: String, required: true },
+    userId: { type: String, required: true },
+    // name shown with the review, copied when it is posted
+    userName: { type: String, required: true },
+    rating: { type: Number, required: true, min: 1, max: 5, validate: Number.isInteger },
+    comment: { type: String, default: "", maxlength: 1000 },
+    // hidden by a moderator, left out of the list and of the food rating
+    hidden: { type: Boolean, default: false }
+}, { timestamps: true })
+
+// one review per customer and dish, posting again edits it
+reviewSchema.index({ foodId: 1, userId: 1 }, { unique: true })
+reviewSchema.index({ foodId: 1, hidden: 1, createdAt: -1 })
+
+const reviewModel = mongoose.models.review || mongoose.model("review", reviewSchema);
+export default reviewModel;
@@ -0,0 +1,14 @@
+import mongoose from "mongoose";
+
+// an availability window, days are 0 (Sunday) to 6 (Saturday) and times are "HH:MM" in the store time zone.
+// A window ending before it starts runs past midnight, e.g. 22:00 - 02:00.
+const scheduleWindowSchema = new mongoose.Schema({
+    days: {
+        type: [{ type: Number, min: 0, max: 6 }],
+        validate: { validator: (days) => days.length > 0, message: "pick at least one day" }
+    },
+    start: { type: String, required: true, match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+    end: { type: String, required: true, match: /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/ }
+}, { _id: false })
+
+export default scheduleWindowSchema;
@@ -1,10 +1,40 @@
 import mongoose from "mongoose";
 
+const addressSchema = new mongoose.Schema({
+    label: { type: String, default: "" },
+    firstName: { type: String, required: true },
+    lastName: { type: String, required: true },
+    email: { type: String, required: true },
+    street: { type: String, required: true },
+    city: { type: String, required: true },
+    state: { type: String, required: true },
+    zipcode: { type: String, required: true },
+    country: { type: String, required: true },
+    phone: { type: String, required: true },
+    isDefault: { type: Boolean, default: false }
+})
+
 const userSchema = new mongoose.Schema({
     name: { type: String, required: true },
     email: { type: String, required: true, unique: true },
     password: { type: String, required: true },
-    cartData:{type:Object,default:{}}
+    role: { type: String, enum: ["customer", "staff", "admin"], default: "customer" },
+    verified: { type: Boolean, default: false },
+    cartData:{type:Object,default:{}},
+    // bumped on every cart change so clients can tell which answer is the latest
+    cartVersion: { type: Number, default: 0 },
+    // promo code applied to the cart, checked again whenever the cart is priced
+    cartCoupon: { type: String, default: null },
+    addresses: { type: [addressSchema], default: [] },
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        secret: { type: String, default: null },
+        pendingSecret: { type: String, default: null },
+        recoveryCodes: { type: [String], default: [] },
+        lastUsedStep: { type: Number, default: 0 }
+    },
+    resetPasswordToken: { type: String },
+    resetPasswordExpires: { type: Date }
 }, { minimize: false })
 
 const userModel = mongoose.models.user || mongoose.model("user", userSchema);
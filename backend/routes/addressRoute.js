@@ -0,0 +1,13 @@
+import express from 'express';
+import { addAddress, listAddresses, removeAddress, setDefaultAddress, updateAddress } from '../controllers/addressController.js';
+import authMiddleware from '../middleware/auth.js';
+
+const addressRouter = express.Router();
+
+addressRouter.post("/list",authMiddleware,listAddresses);
+addressRouter.post("/add",authMiddleware,addAddress);
+addressRouter.post("/update",authMiddleware,updateAddress);
+addressRouter.post("/remove",authMiddleware,removeAddress);
+addressRouter.post("/default",authMiddleware,setDefaultAddress);
+
+export default addressRouter;
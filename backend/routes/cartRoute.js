@@ -1,5 +1,5 @@
 import express from 'express';
-import { addToCart, getCart, removeFromCart } from '../controllers/cartController.js';
+import { addToCart, applyCartCoupon, clearCart, getCart, mergeCart, removeCartCoupon, removeCartLine, removeFromCart, setCartQuantity } from '../controllers/cartController.js';
 import authMiddleware from '../middleware/auth.js';
 
 const cartRouter = express.Router();
@@ -7,5 +7,11 @@ const cartRouter = express.Router();
 cartRouter.post("/get",authMiddleware,getCart);
 cartRouter.post("/add",authMiddleware,addToCart);
 cartRouter.post("/remove",authMiddleware,removeFromCart);
+cartRouter.post("/set",authMiddleware,setCartQuantity);
+cartRouter.post("/remove-line",authMiddleware,removeCartLine);
+cartRouter.post("/clear",authMiddleware,clearCart);
+cartRouter.post("/merge",authMiddleware,mergeCart);
+cartRouter.post("/apply-coupon",authMiddleware,applyCartCoupon);
+cartRouter.post("/remove-coupon",authMiddleware,removeCartCoupon);
 
-export default cartRouter;
\ No newline at end of file
+export default cartRouter;
@@ -0,0 +1,14 @@
+import express from 'express';
+import { addCategory, listAllCategories, listCategories, removeCategory, updateCategory } from '../controllers/categoryController.js';
+import authMiddleware, { authorizeRoles } from '../middleware/auth.js';
+import { uploadImage } from '../middleware/upload.js';
+
+const categoryRouter = express.Router();
+
+categoryRouter.get("/list",listCategories);
+categoryRouter.get("/admin/list",authMiddleware,authorizeRoles("staff","admin"),listAllCategories);
+categoryRouter.post("/add",authMiddleware,authorizeRoles("staff","admin"),uploadImage('image'),addCategory);
+categoryRouter.post("/update",authMiddleware,authorizeRoles("staff","admin"),uploadImage('image'),updateCategory);
+categoryRouter.post("/remove",authMiddleware,authorizeRoles("staff","admin"),removeCategory);
+
+export default categoryRouter;
@@ -0,0 +1,12 @@
+import express from 'express';
+import { addCoupon, listCoupons, removeCoupon, updateCoupon } from '../controllers/couponController.js';
+import authMiddleware, { authorizeRoles } from '../middleware/auth.js';
+
+const couponRouter = express.Router();
+
+couponRouter.get("/list",authMiddleware,authorizeRoles("staff","admin"),listCoupons);
+couponRouter.post("/add",authMiddleware,authorizeRoles("staff","admin"),addCoupon);
+couponRouter.post("/update",authMiddleware,authorizeRoles("staff","admin"),updateCoupon);
+couponRouter.post("/remove",authMiddleware,authorizeRoles("admin"),removeCoupon);
+
+export default couponRouter;
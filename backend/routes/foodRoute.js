@@ -1,21 +1,20 @@
 import express from 'express';
-import { addFood, listFood, removeFood } from '../controllers/foodController.js';
-import multer from 'multer';
+import { addFood, archiveFood, getFood, listAllFood, listFood, removeFood, restoreFood, suggestFood, updateFood } from '../controllers/foodController.js';
+import authMiddleware, { authorizeRoles } from '../middleware/auth.js';
+import { uploadCatalog, uploadImage } from '../middleware/upload.js';
+import { exportFood, importFood } from '../controllers/catalogController.js';
 const foodRouter = express.Router();
 
-//Image Storage Engine (Saving Image to uploads folder & rename it)
-
-const storage = multer.diskStorage({
-    destination: 'uploads',
-    filename: (req, file, cb) => {
-        return cb(null,`${Date.now()}${file.originalname}`);
-    }
-})
-
-const upload = multer({ storage: storage})
-
 foodRouter.get("/list",listFood);
-foodRouter.post("/add",upload.single('image'),addFood);
-foodRouter.post("/remove",removeFood);
+foodRouter.get("/admin/list",authMiddleware,authorizeRoles("staff","admin"),listAllFood);
+foodRouter.get("/suggest",suggestFood);
+foodRouter.get("/item/:id",getFood);
+foodRouter.post("/add",authMiddleware,authorizeRoles("staff","admin"),uploadImage('image', { variants: true }),addFood);
+foodRouter.post("/update",authMiddleware,authorizeRoles("staff","admin"),uploadImage('image', { variants: true }),updateFood);
+foodRouter.post("/import",authMiddleware,authorizeRoles("staff","admin"),uploadCatalog,importFood);
+foodRouter.get("/export",authMiddleware,authorizeRoles("staff","admin"),exportFood);
+foodRouter.post("/archive",authMiddleware,authorizeRoles("staff","admin"),archiveFood);
+foodRouter.post("/restore",authMiddleware,authorizeRoles("staff","admin"),restoreFood);
+foodRouter.post("/remove",authMiddleware,authorizeRoles("admin"),removeFood);
 
 export default foodRouter;
\ No newline at end of file
@@ -1,13 +1,13 @@
 import express from 'express';
-import authMiddleware from '../middleware/auth.js';
+import authMiddleware, { authorizeRoles, requireVerified } from '../middleware/auth.js';
 import { listOrders, placeOrder,updateStatus,userOrders, verifyOrder } from '../controllers/orderController.js';
 
 const orderRouter = express.Router();
 
-orderRouter.get("/list",listOrders);
+orderRouter.get("/list",authMiddleware,authorizeRoles("staff","admin"),listOrders);
 orderRouter.post("/userorders",authMiddleware,userOrders);
-orderRouter.post("/place",authMiddleware,placeOrder);
-orderRouter.post("/status",updateStatus);
+orderRouter.post("/place",authMiddleware,requireVerified,placeOrder);
+orderRouter.post("/status",authMiddleware,authorizeRoles("staff","admin"),updateStatus);
 orderRouter.post("/verify",verifyOrder);
 
 export default orderRouter;
\ No newline at end of file
@@ -0,0 +1,13 @@
+import express from 'express';
+import { addReview, listAllReviews, listReviews, moderateReview, reviewStatus } from '../controllers/reviewController.js';
+import authMiddleware, { authorizeRoles } from '../middleware/auth.js';
+
+const reviewRouter = express.Router();
+
+reviewRouter.get("/list",listReviews);
+reviewRouter.post("/status",authMiddleware,reviewStatus);
+reviewRouter.post("/add",authMiddleware,addReview);
+reviewRouter.get("/admin/list",authMiddleware,authorizeRoles("staff","admin"),listAllReviews);
+reviewRouter.post("/moderate",authMiddleware,authorizeRoles("staff","admin"),moderateReview);
+
+export default reviewRouter;
@@ -1,8 +1,24 @@
 import express from 'express';
-import { loginUser,registerUser } from '../controllers/userController.js';
+import { adminLogin, changePassword, createStaff, disableTwoFactor, enableTwoFactor, forgotPassword, getProfile, loginUser, logoutUser, refreshSession, regenerateRecoveryCodes, registerUser, resendVerification, resetPassword, setupTwoFactor, updateProfile, verifyEmail } from '../controllers/userController.js';
+import authMiddleware, { authorizeRoles, twoFactorSetupMiddleware } from '../middleware/auth.js';
 const userRouter = express.Router();
 
 userRouter.post("/register",registerUser);
 userRouter.post("/login",loginUser);
+userRouter.post("/admin/login",adminLogin);
+userRouter.post("/refresh",refreshSession);
+userRouter.post("/logout",logoutUser);
+userRouter.post("/forgot-password",forgotPassword);
+userRouter.post("/reset-password",resetPassword);
+userRouter.post("/verify-email",verifyEmail);
+userRouter.post("/resend-verification",authMiddleware,resendVerification);
+userRouter.post("/profile",authMiddleware,getProfile);
+userRouter.post("/profile/update",authMiddleware,updateProfile);
+userRouter.post("/profile/password",authMiddleware,changePassword);
+userRouter.post("/2fa/setup",twoFactorSetupMiddleware,setupTwoFactor);
+userRouter.post("/2fa/enable",twoFactorSetupMiddleware,enableTwoFactor);
+userRouter.post("/2fa/disable",authMiddleware,disableTwoFactor);
+userRouter.post("/2fa/recovery-codes",authMiddleware,regenerateRecoveryCodes);
+userRouter.post("/staff",authMiddleware,authorizeRoles("staff","admin"),createStaff);
 
 export default userRouter;
\ No newline at end of file
@@ -0,0 +1,28 @@
+// Usage: STORAGE_DRIVER=s3 npm run migrate-images
+// Copies every file of the local uploads folder into the configured storage, keeping their names
+// so the images already saved on food items and categories keep working.
+import fs from "fs";
+import path from "path";
+import 'dotenv/config'
+import { saveFile } from "../utils/storage.js"
+
+const contentTypes = {
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".png": "image/png",
+    ".webp": "image/webp"
+}
+
+if ((process.env.STORAGE_DRIVER || "local") === "local") {
+    console.log("STORAGE_DRIVER is local, nothing to copy");
+    process.exit(0);
+}
+
+for (const file of fs.readdirSync("uploads")) {
+    const contentType = contentTypes[path.extname(file).toLowerCase()];
+    if (!contentType) {
+        continue;
+    }
+    await saveFile(file, fs.readFileSync(path.join("uploads", file)), contentType);
+    console.log(`${file} copied`);
+}
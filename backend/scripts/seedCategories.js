@@ -0,0 +1,23 @@
+// Usage: npm run seed-categories
+// Creates the categories the menu used to hardcode, copying their images from the frontend assets into storage.
+import fs from "fs";
+import mongoose from "mongoose";
+import 'dotenv/config'
+import { connectDB } from "../config/db.js"
+import categoryModel from "../models/categoryModel.js"
+import { saveFile } from "../utils/storage.js"
+
+const categories = ["Salad", "Rolls", "Deserts", "Sandwich", "Cake", "Pure Veg", "Pasta", "Noodles"];
+
+await connectDB();
+for (const [index, name] of categories.entries()) {
+    if (await categoryModel.exists({ name })) {
+        console.log(`${name} already exists`);
+        continue;
+    }
+    const image = `${Date.now()}menu_${index + 1}.png`;
+    await saveFile(image, fs.readFileSync(`../frontend/src/assets/menu_${index + 1}.png`), "image/png");
+    await categoryModel.create({ name, image, sortOrder: index });
+    console.log(`${name} added`);
+}
+await mongoose.disconnect();
@@ -0,0 +1,18 @@
+// Usage: npm run set-role -- <email> <customer|staff|admin>
+// Needed once to promote the first admin, staff accounts can be created from the API after that.
+import mongoose from "mongoose";
+import 'dotenv/config'
+import { connectDB } from "../config/db.js"
+import userModel from "../models/userModel.js"
+
+const [email, role] = process.argv.slice(2);
+
+if (!email || !["customer", "staff", "admin"].includes(role)) {
+    console.log("Usage: npm run set-role -- <email> <customer|staff|admin>");
+    process.exit(1);
+}
+
+await connectDB();
+const user = await userModel.findOneAndUpdate({ email }, { role }, { new: true });
+console.log(user ? `${user.email} is now ${user.role}` : "User does not exist");
+await mongoose.disconnect();
@@ -0,0 +1,12 @@
+// Usage: npm run verify-existing-users
+// Needed once after email verification shipped: accounts created before it never got a link,
+// they have no verified field at all, while the new accounts are saved with verified false.
+import mongoose from "mongoose";
+import 'dotenv/config'
+import { connectDB } from "../config/db.js"
+import userModel from "../models/userModel.js"
+
+await connectDB();
+const result = await userModel.updateMany({ verified: { $exists: false } }, { $set: { verified: true } });
+console.log(`${result.modifiedCount} existing users marked as verified`);
+await mongoose.disconnect();
@@ -6,25 +6,52 @@ import foodRouter from "./routes/foodRoute.js"
 import 'dotenv/config'
 import cartRouter from "./routes/cartRoute.js"
 import orderRouter from "./routes/orderRoute.js"
+import addressRouter from "./routes/addressRoute.js"
+import categoryRouter from "./routes/categoryRoute.js"
+import reviewRouter from "./routes/reviewRoute.js"
+import couponRouter from "./routes/couponRoute.js"
+import { releaseExpiredOrders } from "./controllers/orderController.js"
+import { trackRequestOrigin } from "./utils/storage.js"
 
 // app config
 const app = express()
 const port = process.env.PORT || 4000;
 
 
+// proxies in front of the app (e.g. Render) whose X-Forwarded-For gives req.ip, see TRUST_PROXY in the README
+const trustProxy = (value) => {
+    if (!value || value === "false") {
+        return false;
+    }
+    if (value === "true") {
+        return true;
+    }
+    return /^\d+$/.test(value) ? Number(value) : value;
+}
+app.set("trust proxy", trustProxy(process.env.TRUST_PROXY))
+
 // middlewares
 app.use(express.json())
-app.use(cors())
+// Content-Disposition carries the file name of the catalog export
+app.use(cors({ exposedHeaders: ["Content-Disposition"] }))
+app.use(trackRequestOrigin)
 
 // db connection
 connectDB()
 
+// gives back the stock & promo codes of the checkouts that were never paid
+setInterval(releaseExpiredOrders, 5 * 60 * 1000)
+
 // api endpoints
 app.use("/api/user", userRouter)
 app.use("/api/food", foodRouter)
+app.use("/api/category", categoryRouter)
 app.use("/images",express.static('uploads'))
 app.use("/api/cart", cartRouter)
 app.use("/api/order",orderRouter)
+app.use("/api/address",addressRouter)
+app.use("/api/review",reviewRouter)
+app.use("/api/coupon",couponRouter)
 
 app.get("/", (req, res) => {
     res.send("API Working")
@@ -0,0 +1,82 @@
+import foodModel from "../models/foodModel.js";
+import { buildCartKey, parseCartKey, resolveOptions } from "./foodOptions.js";
+import { isSoldOut } from "./inventory.js";
+
+const deliveryFee = 5;
+const MAX_LINE_QUANTITY = 99;
+
+const objectIdPattern = /^[0-9a-f]{24}$/i;
+const roundPrice = (amount) => Math.round(amount * 100) / 100;
+
+// normalizes a cart line key without checking the menu (lines of removed items can still be taken out),
+// null when it can't be used in a cartData.<key> path
+const normalizeCartKey = (value) => {
+    const text = String(value ?? "");
+    if (!text || /[.$]/.test(text)) {
+        return null;
+    }
+    const { itemId, optionIds } = parseCartKey(text);
+    return buildCartKey(itemId, optionIds);
+}
+
+// checks a cart line key against the menu, returns { key, food } with the key normalized or { error }
+const checkCartKey = async (value) => {
+    const { itemId, optionIds } = parseCartKey(value);
+    const food = objectIdPattern.test(itemId) ? await foodModel.findById(itemId) : null;
+    if (!food || food.archivedAt) {
+        return { error: "Food not found" };
+    }
+    const { error } = resolveOptions(food, optionIds);
+    if (error) {
+        return { error };
+    }
+    return { key: buildCartKey(itemId, optionIds), food };
+}
+
+// prices a stored cart with the current menu. Lines of removed or archived items, options no longer
+// offered and empty quantities are dropped, cartData is what's left and pruned tells if anything was.
+const priceCart = async (stored = {}) => {
+    const entries = Object.entries(stored || {});
+    const ids = entries.map(([key]) => parseCartKey(key).itemId).filter((itemId) => objectIdPattern.test(itemId));
+    const foods = await foodModel.find({ _id: { $in: ids }, archivedAt: null });
+    const byId = new Map(foods.map((food) => [food._id.toString(), food]));
+
+    const cartData = {};
+    const lines = [];
+    for (const [storedKey, quantity] of entries) {
+        const { itemId, optionIds } = parseCartKey(storedKey);
+        const food = byId.get(itemId);
+        if (!food || !Number.isInteger(quantity) || quantity <= 0) {
+            continue;
+        }
+        const { options, unitPrice, error } = resolveOptions(food, optionIds);
+        if (error) {
+            continue;
+        }
+        const key = buildCartKey(itemId, optionIds);
+        cartData[key] = quantity;
+        lines.push({
+            key,
+            itemId,
+            name: food.name,
+            category: food.category,
+            imageUrl: food.imageUrl,
+            options,
+            unitPrice: roundPrice(unitPrice),
+            quantity,
+            lineTotal: roundPrice(unitPrice * quantity),
+            soldOut: isSoldOut(food)
+        });
+    }
+
+    const subtotal = roundPrice(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+    const delivery = subtotal > 0 ? deliveryFee : 0;
+    const pruned = entries.some(([key, quantity]) => cartData[key] !== quantity);
+    return {
+        cartData,
+        pruned,
+        summary: { lines, subtotal, deliveryFee: delivery, total: roundPrice(subtotal + delivery) }
+    };
+}
+
+export { deliveryFee, roundPrice, MAX_LINE_QUANTITY, normalizeCartKey, checkCartKey, priceCart }
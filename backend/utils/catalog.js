@@ -0,0 +1,113 @@
+import { parse } from "csv-parse/sync";
+import { stringify } from "csv-stringify/sync";
+import AdmZip from "adm-zip";
+import path from "path";
+
+// Catalog files of the bulk import/export. JSON is a list of records shaped like the food items,
+// CSV has one row per item with lists joined by "|", the nutrition in its own columns
+// and the option groups & schedule as JSON.
+
+const csvColumns = ["sku", "name", "description", "price", "category", "available", "stock", "image",
+    "dietaryTags", "allergens", "calories", "protein", "carbs", "fat", "optionGroups", "schedule"];
+
+const MAX_ZIP_ENTRIES = 1000;
+const MAX_ZIP_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// record of a food item, option group & option ids are kept so carts survive a round trip
+const toRecord = (food) => ({
+    sku: food.sku || food._id.toString(),
+    name: food.name,
+    description: food.description,
+    price: food.price,
+    category: food.category,
+    available: food.available,
+    stock: food.stock,
+    image: food.image,
+    dietaryTags: [...food.dietaryTags],
+    allergens: [...food.allergens],
+    nutrition: {
+        calories: food.nutrition?.calories ?? null,
+        protein: food.nutrition?.protein ?? null,
+        carbs: food.nutrition?.carbs ?? null,
+        fat: food.nutrition?.fat ?? null
+    },
+    optionGroups: food.optionGroups.map((group) => ({
+        _id: group._id.toString(),
+        name: group.name,
+        required: group.required,
+        minSelect: group.minSelect,
+        maxSelect: group.maxSelect,
+        options: group.options.map((option) => ({ _id: option._id.toString(), name: option.name, priceDelta: option.priceDelta }))
+    })),
+    schedule: food.schedule.map((window) => ({ days: [...window.days], start: window.start, end: window.end }))
+})
+
+const toCsvRow = (record) => ({
+    ...record,
+    dietaryTags: record.dietaryTags.join("|"),
+    allergens: record.allergens.join("|"),
+    ...record.nutrition,
+    optionGroups: record.optionGroups.length > 0 ? JSON.stringify(record.optionGroups) : "",
+    schedule: record.schedule.length > 0 ? JSON.stringify(record.schedule) : ""
+})
+
+// csv cells are all strings, empty cells stay empty so the import can tell them apart
+const fromCsvRow = (row) => ({
+    sku: row.sku,
+    name: row.name,
+    description: row.description,
+    price: row.price,
+    category: row.category,
+    available: row.available,
+    stock: row.stock,
+    image: row.image,
+    dietaryTags: row.dietaryTags ? row.dietaryTags.split("|").map((tag) => tag.trim()) : [],
+    allergens: row.allergens ? row.allergens.split("|").map((allergen) => allergen.trim()) : [],
+    nutrition: { calories: row.calories, protein: row.protein, carbs: row.carbs, fat: row.fat },
+    optionGroups: row.optionGroups ? row.optionGroups : [],
+    schedule: row.schedule ? row.schedule : []
+})
+
+const serializeCatalog = (records, format) => {
+    if (format === "csv") {
+        return stringify(records.map(toCsvRow), {
+            header: true,
+            columns: csvColumns,
+            cast: { boolean: (value) => String(value) }
+        });
+    }
+    return JSON.stringify(records, null, 2);
+}
+
+// reads an uploaded catalog file, the format is taken from its extension
+const parseCatalog = (file) => {
+    const text = file.buffer.toString("utf8");
+    if (path.extname(file.originalname).toLowerCase() === ".csv") {
+        return parse(text, { columns: true, bom: true, skip_empty_lines: true, trim: true }).map(fromCsvRow);
+    }
+    const data = JSON.parse(text);
+    const records = Array.isArray(data) ? data : data.items;
+    if (!Array.isArray(records)) {
+        throw new Error("expected a list of items");
+    }
+    return records;
+}
+
+// images of a zip by file name, folders inside the zip are ignored
+const readImageZip = (buffer) => {
+    const entries = new AdmZip(buffer).getEntries().filter((entry) => !entry.isDirectory && !entry.entryName.startsWith("__MACOSX"));
+    if (entries.length > MAX_ZIP_ENTRIES) {
+        throw new Error(`the zip can hold at most ${MAX_ZIP_ENTRIES} images`);
+    }
+    const images = new Map();
+    for (const entry of entries) {
+        // checked before extracting so a zip bomb never gets inflated
+        if (entry.header.size > MAX_ZIP_IMAGE_BYTES) {
+            throw new Error(`${entry.entryName} is larger than ${MAX_ZIP_IMAGE_BYTES / 1024 / 1024} MB`);
+        }
+        images.set(path.basename(entry.entryName), entry);
+    }
+    return images;
+}
+
+export { toRecord, serializeCatalog, parseCatalog, readImageZip }
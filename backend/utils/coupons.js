@@ -0,0 +1,86 @@
+import couponModel from "../models/couponModel.js";
+import orderModel from "../models/orderModel.js";
+import { roundPrice } from "./cart.js";
+
+const normalizeCode = (code) => String(code ?? "").trim().toUpperCase();
+
+const findCoupon = async (code) => {
+    const normalized = normalizeCode(code);
+    return normalized ? couponModel.findOne({ code: normalized }) : null;
+}
+
+const inScope = (coupon, line) => {
+    if (coupon.categories.length === 0 && coupon.items.length === 0) {
+        return true;
+    }
+    return coupon.categories.includes(line.category) || coupon.items.includes(String(line.itemId));
+}
+
+// checks a coupon against the priced lines of a cart ({ itemId, category, lineTotal }),
+// returns the discount lines it gives or { error }
+const evaluateCoupon = async (coupon, { userId, lines, subtotal, deliveryFee }) => {
+    if (!coupon || !coupon.active) {
+        return { error: "This promo code isn't valid" };
+    }
+    if (coupon.expiresAt && coupon.expiresAt <= new Date()) {
+        return { error: `${coupon.code} has expired` };
+    }
+    if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+        return { error: `${coupon.code} has been fully redeemed` };
+    }
+    if (coupon.perUserLimit !== null) {
+        const used = await orderModel.countDocuments({ userId, "coupon.code": coupon.code, status: { $ne: "Cancelled" } });
+        if (used >= coupon.perUserLimit) {
+            return { error: `You have already used ${coupon.code}` };
+        }
+    }
+    if (subtotal < coupon.minOrder) {
+        return { error: `${coupon.code} needs an order of at least $${coupon.minOrder}` };
+    }
+    const eligible = roundPrice(lines.filter((line) => inScope(coupon, line)).reduce((sum, line) => sum + line.lineTotal, 0));
+    if (eligible === 0) {
+        return { error: `${coupon.code} doesn't apply to the items in your cart` };
+    }
+
+    if (coupon.type === "free_delivery") {
+        return { discounts: [{ label: `Free delivery (${coupon.code})`, amount: deliveryFee, delivery: true }] };
+    }
+    const amount = coupon.type === "percentage"
+        ? roundPrice(eligible * coupon.value / 100)
+        : roundPrice(Math.min(coupon.value, eligible));
+    const label = coupon.type === "percentage" ? `${coupon.value}% off (${coupon.code})` : `$${coupon.value} off (${coupon.code})`;
+    return { discounts: [{ label, amount, delivery: false }] };
+}
+
+// adds the coupon's discount lines to a cart summary; a code that no longer applies stays on the cart
+// with its error so the customer sees why, and gives no discount
+const applyCoupon = async (summary, code, userId) => {
+    if (!code) {
+        return { ...summary, coupon: null, discounts: [], discount: 0 };
+    }
+    const coupon = await findCoupon(code);
+    const { discounts = [], error } = await evaluateCoupon(coupon, { userId, ...summary });
+    const discount = roundPrice(discounts.reduce((sum, line) => sum + line.amount, 0));
+    return {
+        ...summary,
+        coupon: { code, error: error || null },
+        discounts,
+        discount,
+        total: roundPrice(summary.subtotal + summary.deliveryFee - discount)
+    };
+}
+
+// counts a use of the coupon unless its global limit is reached in the meantime, false then
+const reserveCoupon = async (code) => {
+    const coupon = await couponModel.findOneAndUpdate(
+        { code, $or: [{ usageLimit: null }, { $expr: { $lt: ["$usedCount", "$usageLimit"] } }] },
+        { $inc: { usedCount: 1 } }
+    );
+    return Boolean(coupon);
+}
+
+const releaseCoupon = async (code) => {
+    await couponModel.updateOne({ code, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+}
+
+export { normalizeCode, findCoupon, evaluateCoupon, applyCoupon, reserveCoupon, releaseCoupon }
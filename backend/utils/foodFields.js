@@ -0,0 +1,32 @@
+// parsing of the food fields shared by the add/update forms and the catalog import
+
+// an empty stock field means the stock isn't tracked
+const parseStock = (value) => value === undefined || value === null || value === "" ? null : Number(value);
+
+// lists come as JSON strings from the multipart forms, or comma separated in query strings
+const parseList = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(String);
+    }
+    const text = String(value || "").trim();
+    if (text.startsWith("[")) {
+        return JSON.parse(text).map(String);
+    }
+    return text ? text.split(",").map((entry) => entry.trim()) : [];
+}
+
+const parseNutrition = (value) => {
+    const nutrition = typeof value === "string" ? JSON.parse(value) : value;
+    return Object.fromEntries(["calories", "protein", "carbs", "fat"].map((field) => [
+        field,
+        nutrition[field] === undefined || nutrition[field] === null || nutrition[field] === "" ? null : Number(nutrition[field])
+    ]));
+}
+
+// sku is the stable key used by the catalog import, empty means none
+const parseSku = (value) => {
+    const sku = String(value ?? "").trim();
+    return sku || undefined;
+}
+
+export { parseStock, parseList, parseNutrition, parseSku }
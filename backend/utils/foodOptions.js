@@ -0,0 +1,91 @@
+import foodModel from "../models/foodModel.js";
+
+// cart lines are keyed by the item id alone, or "itemId:optionId,optionId"
+// when options are chosen (option ids sorted so the same choice gives the same key)
+const buildCartKey = (itemId, optionIds = []) => {
+    return optionIds.length > 0 ? `${itemId}:${[...optionIds].map(String).sort().join(",")}` : String(itemId);
+}
+
+const parseCartKey = (key) => {
+    const [itemId, optionIds] = String(key).split(":");
+    return { itemId, optionIds: optionIds ? optionIds.split(",") : [] };
+}
+
+// checks the chosen options against the item's option groups,
+// returns { options, unitPrice } or { error }
+const resolveOptions = (food, optionIds = []) => {
+    const chosen = new Set(optionIds.map(String));
+    const options = [];
+    let unitPrice = food.price;
+    for (const group of food.optionGroups || []) {
+        const picked = group.options.filter((option) => chosen.has(option._id.toString()));
+        const min = group.required ? Math.max(group.minSelect, 1) : group.minSelect;
+        if (picked.length < min) {
+            return { error: `Choose at least ${min} of ${group.name} for ${food.name}` };
+        }
+        if (picked.length > group.maxSelect) {
+            return { error: `Choose at most ${group.maxSelect} of ${group.name} for ${food.name}` };
+        }
+        for (const option of picked) {
+            chosen.delete(option._id.toString());
+            options.push({ optionId: option._id.toString(), group: group.name, name: option.name, priceDelta: option.priceDelta });
+            unitPrice += option.priceDelta;
+        }
+    }
+    if (chosen.size > 0) {
+        return { error: `Some options of ${food.name} are no longer offered` };
+    }
+    return { options, unitPrice };
+}
+
+// rebuilds the ordered lines from the database so names, options and prices can't be made up,
+// returns { items } or { error }
+const resolveOrderItems = async (lines) => {
+    const items = [];
+    for (const line of lines) {
+        const quantity = Number(line.quantity);
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            return { error: "Invalid quantity" };
+        }
+        const { itemId, optionIds } = parseCartKey(line.cartKey || line._id);
+        const food = await foodModel.findById(itemId);
+        if (!food) {
+            return { error: `${line.name || "An item"} is no longer on the menu` };
+        }
+        const { options, unitPrice, error } = resolveOptions(food, optionIds);
+        if (error) {
+            return { error };
+        }
+        items.push({
+            _id: food._id.toString(),
+            cartKey: buildCartKey(food._id, optionIds),
+            name: food.name,
+            image: food.image,
+            category: food.category,
+            price: unitPrice,
+            quantity,
+            options
+        });
+    }
+    return { items };
+}
+
+// option groups come as a JSON string in the multipart add/update forms
+const parseOptionGroups = (value) => {
+    const groups = typeof value === "string" ? JSON.parse(value) : value;
+    if (!Array.isArray(groups)) {
+        throw new Error("optionGroups must be a list");
+    }
+    for (const group of groups) {
+        const min = group.required ? Math.max(Number(group.minSelect) || 0, 1) : Number(group.minSelect) || 0;
+        if (min > Number(group.maxSelect)) {
+            throw new Error(`${group.name}: minimum choices is above the maximum`);
+        }
+        if (!Array.isArray(group.options) || Number(group.maxSelect) > group.options.length) {
+            throw new Error(`${group.name}: maximum choices is above the number of options`);
+        }
+    }
+    return groups;
+}
+
+export { buildCartKey, parseCartKey, resolveOptions, resolveOrderItems, parseOptionGroups }
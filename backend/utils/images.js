@@ -0,0 +1,56 @@
+import sharp from "sharp";
+import crypto from "crypto";
+import { fileUrl, removeFile, saveFile } from "./storage.js";
+
+// widths of the WebP copies served through srcset
+const IMAGE_WIDTHS = [320, 640, 960];
+const MAX_WIDTH = 1280;
+
+// formats kept for the main image, named by what the file really is, not what the client claimed
+const formats = {
+    jpeg: ".jpg",
+    png: ".png",
+    webp: ".webp"
+}
+
+const variantName = (filename, width) => `${filename.replace(/\.[^.]+$/, "")}-${width}.webp`;
+
+// re-encodes an uploaded image (auto rotated, metadata stripped, capped in width) and stores it
+// under a random name, with variants a WebP copy per width is stored too (never upscaling).
+// Throws when the file can't be decoded as a JPEG, PNG or WebP image.
+const storeImage = async (file, { variants = false } = {}) => {
+    const { format } = await sharp(file.buffer).metadata();
+    if (!formats[format]) {
+        throw new Error(`Unsupported image format ${format}`);
+    }
+    const filename = `${Date.now()}-${crypto.randomBytes(8).toString("hex")}${formats[format]}`;
+    const image = await sharp(file.buffer).rotate().resize({ width: MAX_WIDTH, withoutEnlargement: true }).toBuffer();
+    await saveFile(filename, image, `image/${format}`);
+
+    let widths = [];
+    if (variants) {
+        const { width } = await sharp(image).metadata();
+        widths = IMAGE_WIDTHS.filter((candidate) => candidate <= width);
+        if (widths.length === 0) {
+            widths = [width];
+        }
+        for (const variantWidth of widths) {
+            const variant = await sharp(image).resize({ width: variantWidth }).webp({ quality: 80 }).toBuffer();
+            await saveFile(variantName(filename, variantWidth), variant, "image/webp");
+        }
+    }
+    return { filename, widths };
+}
+
+// removes a stored image together with its WebP copies
+const removeImage = (filename, widths = []) => {
+    [filename, ...widths.map((width) => variantName(filename, width))].forEach((key) => {
+        removeFile(key).catch((error) => console.log(error));
+    })
+}
+
+const imageUrl = (filename) => fileUrl(filename);
+
+const imageSrcSet = (filename, widths = []) => widths.map((width) => `${fileUrl(variantName(filename, width))} ${width}w`).join(", ");
+
+export { storeImage, removeImage, imageUrl, imageSrcSet }
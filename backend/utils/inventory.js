@@ -0,0 +1,55 @@
+import foodModel from "../models/foodModel.js";
+import categoryModel from "../models/categoryModel.js";
+
+const isSoldOut = (food) => Boolean(food.archivedAt) || !food.available || food.stock === 0;
+
+// names of the deactivated categories, their items are off the menu
+const inactiveCategories = async () => categoryModel.distinct("name", { active: false });
+
+// names of the order items that can't be ordered (missing, switched off, in a deactivated category or not enough stock)
+const findUnavailableItems = async (items) => {
+    const [foods, hidden] = await Promise.all([
+        foodModel.find({ _id: { $in: items.map((item) => item._id) } }),
+        inactiveCategories()
+    ]);
+    const byId = new Map(foods.map((food) => [food._id.toString(), food]));
+    // the same item can be on several lines with different options
+    const ordered = new Map();
+    items.forEach((item) => ordered.set(String(item._id), (ordered.get(String(item._id)) || 0) + item.quantity));
+    const names = items.filter((item) => {
+        const food = byId.get(String(item._id));
+        return !food || isSoldOut(food) || hidden.includes(food.category) || (food.stock !== null && food.stock < ordered.get(String(item._id)));
+    }).map((item) => item.name);
+    return [...new Set(names)];
+}
+
+// takes the ordered quantities out of stock when the order is placed, all or nothing:
+// a food only loses stock when it still has enough, so two checkouts can't both get the last one.
+// Returns what was taken so it can be given back, or null when an item ran out in the meantime
+const reserveStock = async (items) => {
+    const ordered = new Map();
+    items.forEach((item) => ordered.set(String(item._id), (ordered.get(String(item._id)) || 0) + item.quantity));
+    const reserved = [];
+    for (const [itemId, quantity] of ordered) {
+        const taken = await foodModel.findOneAndUpdate({ _id: itemId, stock: { $gte: quantity } }, { $inc: { stock: -quantity } });
+        if (taken) {
+            reserved.push({ itemId, quantity });
+            continue;
+        }
+        // foods without a stock count never run out
+        if (await foodModel.exists({ _id: itemId, stock: null })) {
+            continue;
+        }
+        await restoreStock(reserved);
+        return null;
+    }
+    return reserved;
+}
+
+const restoreStock = async (deducted) => {
+    for (const entry of deducted) {
+        await foodModel.updateOne({ _id: entry.itemId, stock: { $ne: null } }, { $inc: { stock: entry.quantity } });
+    }
+}
+
+export { isSoldOut, inactiveCategories, findUnavailableItems, reserveStock, restoreStock }
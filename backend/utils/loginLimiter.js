@@ -0,0 +1,147 @@
+import loginAttemptModel from "../models/loginAttemptModel.js";
+
+// Tracks failed logins per ip and per account and locks them out with exponential backoff.
+// The store is picked with LOGIN_LIMITER_STORE: "memory" (default, single instance) or "mongo" (shared by all instances).
+
+// a record is dropped after a day without failures, which also resets the backoff
+const recordTTL = 24 * 60 * 60 * 1000;
+
+// beyond it the least recently failed keys are dropped, so a flood of ips or emails can't fill the memory
+const maxMemoryRecords = 10000;
+
+const memoryStore = () => {
+    // kept in the order of the last failure, the oldest first
+    const records = new Map();
+
+    // expired records are also dropped when read, this takes the ones that are never read again
+    setInterval(() => {
+        const now = Date.now();
+        records.forEach((record, key) => {
+            if (record.expiresAt <= now) {
+                records.delete(key);
+            }
+        });
+    }, 10 * 60 * 1000).unref();
+
+    const get = async (key) => {
+        const record = records.get(key);
+        if (!record || record.expiresAt <= Date.now()) {
+            records.delete(key);
+            return null;
+        }
+        return record;
+    }
+
+    return {
+        get,
+        increment: async (key) => {
+            const record = (await get(key)) || { failures: 0, lockouts: 0, lockedUntil: null };
+            record.failures += 1;
+            record.expiresAt = Date.now() + recordTTL;
+            records.delete(key);
+            records.set(key, record);
+            if (records.size > maxMemoryRecords) {
+                records.delete(records.keys().next().value);
+            }
+            return record;
+        },
+        lock: async (key, lockedUntil) => {
+            const record = await get(key);
+            record.failures = 0;
+            record.lockouts += 1;
+            record.lockedUntil = lockedUntil;
+            return record;
+        },
+        reset: async (key) => {
+            records.delete(key);
+        }
+    }
+}
+
+const mongoStore = () => {
+    return {
+        get: (key) => loginAttemptModel.findOne({ key }).lean(),
+        increment: (key) => loginAttemptModel.findOneAndUpdate(
+            { key },
+            { $inc: { failures: 1 }, $set: { expiresAt: new Date(Date.now() + recordTTL) } },
+            { upsert: true, new: true }
+        ).lean(),
+        lock: (key, lockedUntil) => loginAttemptModel.findOneAndUpdate(
+            { key },
+            { $set: { failures: 0, lockedUntil }, $inc: { lockouts: 1 } },
+            { new: true }
+        ).lean(),
+        reset: async (key) => {
+            await loginAttemptModel.deleteOne({ key });
+        }
+    }
+}
+
+const stores = {
+    memory: memoryStore,
+    mongo: mongoStore
+}
+
+let store;
+
+const getStore = () => {
+    if (!store) {
+        const name = process.env.LOGIN_LIMITER_STORE || "memory";
+        if (!stores[name]) {
+            throw new Error(`Unknown login limiter store "${name}"`);
+        }
+        store = stores[name]();
+    }
+    return store;
+}
+
+const getSettings = () => ({
+    maxAccountFailures: Number(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+    // an ip is shared by many users (offices, mobile networks), so it gets more room
+    maxIpFailures: Number(process.env.LOGIN_MAX_IP_ATTEMPTS) || 20,
+    baseLockout: (Number(process.env.LOGIN_LOCKOUT_SECONDS) || 60) * 1000,
+    maxLockout: 60 * 60 * 1000
+})
+
+const keysFor = (ip, email) => [
+    { key: `ip:${ip}`, account: false },
+    { key: `account:${String(email).toLowerCase()}`, account: true }
+]
+
+// seconds until the longest running lockout ends, 0 when nothing is locked
+const lockedFor = (records) => {
+    const now = Date.now();
+    const until = Math.max(0, ...records.filter(Boolean).map((record) => record.lockedUntil ? new Date(record.lockedUntil).getTime() : 0));
+    return until > now ? Math.ceil((until - now) / 1000) : 0;
+}
+
+// call before checking the password
+export const checkLoginAllowed = async (ip, email) => {
+    const records = await Promise.all(keysFor(ip, email).map(({ key }) => getStore().get(key)));
+    return lockedFor(records);
+}
+
+// call after a wrong password, returns the lockout in seconds (0 when the user can still try)
+export const recordLoginFailure = async (ip, email) => {
+    const { maxAccountFailures, maxIpFailures, baseLockout, maxLockout } = getSettings();
+    const records = await Promise.all(keysFor(ip, email).map(async ({ key, account }) => {
+        const record = await getStore().increment(key);
+        if (record.failures < (account ? maxAccountFailures : maxIpFailures)) {
+            return record;
+        }
+        // 1x, 2x, 4x ... the base lockout for every new lockout of the same key
+        const duration = Math.min(baseLockout * 2 ** record.lockouts, maxLockout);
+        return getStore().lock(key, new Date(Date.now() + duration));
+    }));
+    return lockedFor(records);
+}
+
+// call after a successful login, only the account is cleared so an ip can't reset itself with its own account
+export const recordLoginSuccess = async (ip, email) => {
+    await getStore().reset(keysFor(ip, email)[1].key);
+}
+
+export const lockoutMessage = (seconds) => {
+    const minutes = Math.ceil(seconds / 60);
+    return `Too many failed login attempts. Try again in ${minutes} minute${minutes > 1 ? "s" : ""}`;
+}
@@ -0,0 +1,66 @@
+import fs from "fs";
+import path from "path";
+import nodemailer from "nodemailer";
+
+// Mail sending with pluggable transports, picked with MAIL_TRANSPORT:
+//   smtp    - real delivery through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+//   file    - writes every mail to MAIL_DIR (default "mails"), handy in development
+//   console - prints every mail to the server log (default)
+
+const smtpTransport = () => {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    })
+    return {
+        send: (mail) => transporter.sendMail(mail)
+    }
+}
+
+const fileTransport = () => {
+    const dir = process.env.MAIL_DIR || "mails";
+    return {
+        send: async (mail) => {
+            await fs.promises.mkdir(dir, { recursive: true });
+            const file = path.join(dir, `${Date.now()}-${mail.to.replace(/[^a-zA-Z0-9@._-]/g, "_")}.txt`);
+            const content = `From: ${mail.from}\nTo: ${mail.to}\nSubject: ${mail.subject}\n\n${mail.text}\n`;
+            await fs.promises.writeFile(file, content);
+            console.log(`Mail to ${mail.to} saved in ${file}`);
+        }
+    }
+}
+
+const consoleTransport = () => {
+    return {
+        send: async (mail) => {
+            console.log(`----- Mail to ${mail.to} -----\nSubject: ${mail.subject}\n\n${mail.text}\n------------------------------`);
+        }
+    }
+}
+
+const transports = {
+    smtp: smtpTransport,
+    file: fileTransport,
+    console: consoleTransport
+}
+
+let transport;
+
+// transport is created on first use so that dotenv is already loaded
+const getTransport = () => {
+    if (!transport) {
+        const name = process.env.MAIL_TRANSPORT || "console";
+        if (!transports[name]) {
+            throw new Error(`Unknown mail transport "${name}"`);
+        }
+        transport = transports[name]();
+    }
+    return transport;
+}
+
+export const sendMail = async ({ to, subject, text, html }) => {
+    const from = process.env.MAIL_FROM || "Tomato <no-reply@tomato.com>";
+    await getTransport().send({ from, to, subject, text, html });
+}
@@ -0,0 +1,129 @@
+import foodModel from "../models/foodModel.js";
+import categoryModel from "../models/categoryModel.js";
+
+// Availability windows of food items and categories. An empty schedule means always available,
+// an item is only available when both its own schedule and its category's allow it.
+// Times are read in STORE_TIMEZONE, an IANA name such as "Asia/Karachi" (default UTC).
+
+const weekdays = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const timePattern = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+const storeTimeZone = () => process.env.STORE_TIMEZONE || "UTC";
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(":").map(Number);
+    return hours * 60 + minutes;
+}
+
+// day of the week & minutes since midnight of a moment, in the store time zone
+const storeClock = (date = new Date()) => {
+    const parts = new Intl.DateTimeFormat("en-US", {
+        timeZone: storeTimeZone(),
+        weekday: "short",
+        hour: "2-digit",
+        minute: "2-digit",
+        hourCycle: "h23"
+    }).formatToParts(date);
+    const part = (type) => parts.find((entry) => entry.type === type).value;
+    return { day: weekdays.indexOf(part("weekday")), minutes: Number(part("hour")) * 60 + Number(part("minute")) };
+}
+
+// an overnight window belongs to the day it starts on
+const isOpen = (schedule, clock) => {
+    if (!schedule || schedule.length === 0) {
+        return true;
+    }
+    return schedule.some((window) => {
+        const start = toMinutes(window.start);
+        const end = toMinutes(window.end);
+        if (start < end) {
+            return window.days.includes(clock.day) && clock.minutes >= start && clock.minutes < end;
+        }
+        return (window.days.includes(clock.day) && clock.minutes >= start)
+            || (window.days.includes((clock.day + 6) % 7) && clock.minutes < end);
+    });
+}
+
+const isAvailableAt = (food, category, clock) => isOpen(food.schedule, clock) && isOpen(category?.schedule, clock);
+
+// schedules come as JSON strings from the multipart forms
+const parseSchedule = (value) => {
+    const schedule = typeof value === "string" ? (value.trim() ? JSON.parse(value) : []) : value;
+    if (!Array.isArray(schedule)) {
+        throw new Error("schedule must be a list");
+    }
+    return schedule.map((window) => {
+        const days = [...new Set((window.days || []).map(Number))].sort((a, b) => a - b);
+        if (days.length === 0 || days.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+            throw new Error("every window needs days between 0 (Sunday) and 6 (Saturday)");
+        }
+        if (!timePattern.test(window.start) || window.start === "24:00" || !timePattern.test(window.end)) {
+            throw new Error("times must look like HH:MM");
+        }
+        if (window.start === window.end) {
+            throw new Error(`${window.start} - ${window.end} is an empty window`);
+        }
+        return { days, start: window.start, end: window.end };
+    });
+}
+
+// milliseconds the store time zone is ahead of UTC at a moment
+const zoneOffset = (date) => {
+    const parts = new Intl.DateTimeFormat("en-US", {
+        timeZone: storeTimeZone(),
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+        hourCycle: "h23"
+    }).formatToParts(date);
+    const part = (type) => Number(parts.find((entry) => entry.type === type).value);
+    const asUtc = Date.UTC(part("year"), part("month") - 1, part("day"), part("hour"), part("minute"), part("second"));
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// ?at= of the menu preview, now when it's missing. A date and time without a zone
+// (e.g. 2026-10-19T07:00, what a datetime-local input gives) is a time in the store time zone.
+const parseMoment = (value) => {
+    if (!value) {
+        return new Date();
+    }
+    const text = String(value);
+    const wallClock = text.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/);
+    if (wallClock) {
+        const [, year, month, day, hour, minute, second = "0"] = wallClock;
+        const asUtc = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+        // checked again at the result in case the offset changes in between (daylight saving)
+        const guess = new Date(asUtc - zoneOffset(new Date(asUtc)));
+        return new Date(asUtc - zoneOffset(guess));
+    }
+    const date = new Date(text);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error("at must be a date and time");
+    }
+    return date;
+}
+
+const categorySchedules = async (names) => {
+    const categories = await categoryModel.find({ name: { $in: [...new Set(names)] } }, { name: 1, schedule: 1 });
+    return new Map(categories.map((category) => [category.name, category]));
+}
+
+// food items as JSON with availableNow telling whether they can be ordered at that moment
+const flagAvailability = async (foods, date = new Date()) => {
+    const categories = await categorySchedules(foods.map((food) => food.category));
+    const clock = storeClock(date);
+    return foods.map((food) => ({ ...food.toJSON(), availableNow: isAvailableAt(food, categories.get(food.category), clock) }));
+}
+
+// names of the order items outside their availability window
+const findClosedItems = async (items, date = new Date()) => {
+    const foods = await foodModel.find({ _id: { $in: items.map((item) => item._id) } }, { name: 1, category: 1, schedule: 1 });
+    const categories = await categorySchedules(foods.map((food) => food.category));
+    const clock = storeClock(date);
+    return foods.filter((food) => !isAvailableAt(food, categories.get(food.category), clock)).map((food) => food.name);
+}
+
+export { storeTimeZone, parseSchedule, parseMoment, flagAvailability, findClosedItems }
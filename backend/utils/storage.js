@@ -0,0 +1,90 @@
+import fs from "fs";
+import path from "path";
+import { AsyncLocalStorage } from "async_hooks";
+import { DeleteObjectCommand, PutObjectCommand, S3Client } from "@aws-sdk/client-s3";
+
+// Stores uploaded files and builds their public urls.
+// The driver is picked with STORAGE_DRIVER: "local" (default, the uploads folder served on /images)
+// or "s3" (any S3 compatible service, e.g. AWS S3 or MinIO).
+
+// origin of the request being handled, the local urls default to it when PUBLIC_URL isn't set
+const requestOrigin = new AsyncLocalStorage();
+
+const trackRequestOrigin = (req, res, next) => {
+    // behind a proxy (e.g. Render) the app itself only sees plain http
+    const protocol = (req.get("x-forwarded-proto") || req.protocol).split(",")[0].trim();
+    requestOrigin.run(`${protocol}://${req.get("host")}`, next);
+}
+
+const localDriver = () => {
+    const folder = "uploads";
+    const baseUrl = () => (process.env.PUBLIC_URL
+        || requestOrigin.getStore()
+        || `http://localhost:${process.env.PORT || 4000}`).replace(/\/$/, "");
+
+    return {
+        save: async (key, buffer) => {
+            await fs.promises.writeFile(path.join(folder, key), buffer);
+        },
+        remove: async (key) => {
+            await fs.promises.unlink(path.join(folder, key)).catch(() => { });
+        },
+        url: (key) => `${baseUrl()}/images/${key}`
+    }
+}
+
+const s3Driver = () => {
+    const bucket = process.env.S3_BUCKET;
+    if (!bucket) {
+        throw new Error("S3_BUCKET is required for the s3 storage driver");
+    }
+    const client = new S3Client({
+        region: process.env.S3_REGION || "us-east-1",
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        // MinIO and most self hosted services only understand path style urls
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+        credentials: process.env.S3_ACCESS_KEY_ID ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        } : undefined
+    });
+    const publicUrl = (process.env.S3_PUBLIC_URL
+        || (process.env.S3_ENDPOINT ? `${process.env.S3_ENDPOINT}/${bucket}` : `https://${bucket}.s3.amazonaws.com`)).replace(/\/$/, "");
+
+    return {
+        save: async (key, buffer, contentType) => {
+            await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType }));
+        },
+        remove: async (key) => {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        },
+        url: (key) => `${publicUrl}/${key}`
+    }
+}
+
+const drivers = {
+    local: localDriver,
+    s3: s3Driver
+}
+
+let driver;
+
+// created on first use, the env is not loaded yet when this module is imported
+const getStorage = () => {
+    if (!driver) {
+        const name = process.env.STORAGE_DRIVER || "local";
+        if (!drivers[name]) {
+            throw new Error(`Unknown storage driver "${name}"`);
+        }
+        driver = drivers[name]();
+    }
+    return driver;
+}
+
+const saveFile = (key, buffer, contentType) => getStorage().save(key, buffer, contentType);
+
+const removeFile = (key) => getStorage().remove(key);
+
+const fileUrl = (key) => getStorage().url(key);
+
+export { saveFile, removeFile, fileUrl, trackRequestOrigin }
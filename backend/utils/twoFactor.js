@@ -0,0 +1,45 @@
+import crypto from "crypto";
+import { authenticator } from "otplib";
+import QRCode from "qrcode";
+
+// TOTP helpers for two-factor authentication (RFC 6238, 30s steps, 6 digits)
+
+const step = 30;
+
+// accept the previous & next code too, phones clocks drift
+authenticator.options = { step, window: 1 };
+
+const issuer = "Tomato";
+
+export const generateSecret = () => authenticator.generateSecret();
+
+export const otpauthUrl = (email, secret) => authenticator.keyuri(email, issuer, secret);
+
+export const qrCodeDataUrl = (url) => QRCode.toDataURL(url);
+
+// returns the time step the code belongs to, or null when it is wrong
+export const verifyTotp = (code, secret) => {
+    const token = String(code || "").replace(/\s/g, "");
+    if (!secret || !/^\d{6}$/.test(token)) {
+        return null;
+    }
+    const delta = authenticator.checkDelta(token, secret);
+    if (delta === null) {
+        return null;
+    }
+    return Math.floor(Date.now() / 1000 / step) + delta;
+}
+
+export const hashRecoveryCode = (code) => {
+    const normalized = String(code || "").replace(/[\s-]/g, "").toLowerCase();
+    return crypto.createHash("sha256").update(normalized).digest("hex");
+}
+
+// ten one-time codes like "3f9a-c2e1", only their hashes are stored
+export const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: 10 }, () => {
+        const raw = crypto.randomBytes(4).toString("hex");
+        return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
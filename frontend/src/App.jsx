@@ -10,6 +10,10 @@ import MyOrders from './pages/MyOrders/MyOrders'
 import { ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 import Verify from './pages/Verify/Verify'
+import ResetPassword from './pages/ResetPassword/ResetPassword'
+import VerifyEmail from './pages/VerifyEmail/VerifyEmail'
+import Profile from './pages/Profile/Profile'
+import Search from './pages/Search/Search'
 
 const App = () => {
 
@@ -26,7 +30,11 @@ const App = () => {
           <Route path='/cart' element={<Cart />}/>
           <Route path='/order' element={<PlaceOrder />}/>
           <Route path='/myorders' element={<MyOrders />}/>
+          <Route path='/profile' element={<Profile />}/>
+          <Route path='/search' element={<Search />}/>
           <Route path='/verify' element={<Verify />}/>
+          <Route path='/reset-password' element={<ResetPassword setShowLogin={setShowLogin}/>}/>
+          <Route path='/verify-email' element={<VerifyEmail />}/>
         </Routes>
       </div>
       <Footer />
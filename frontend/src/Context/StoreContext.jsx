@@ -1,59 +1,277 @@
-import { createContext, useEffect, useState } from "react";
-import { food_list, menu_list } from "../assets/assets";
+import { createContext, useEffect, useRef, useState } from "react";
+import { food_list } from "../assets/assets";
 import axios from "axios";
+import { toast } from "react-toastify";
+import { parseCartKey, resolveOptions } from "../utils/cart";
 export const StoreContext = createContext(null);
 
+// the cart of a visitor who isn't logged in, kept across reloads and shared by the open tabs
+const GUEST_CART_KEY = "guestCart";
+
+const readGuestCart = () => {
+    try {
+        return JSON.parse(localStorage.getItem(GUEST_CART_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
 const StoreContextProvider = (props) => {
 
     const url = "https://tomato-food-del-backend-p1ni.onrender.com"
     const [food_list, setFoodList] = useState([]);
-    const [cartItems, setCartItems] = useState({});
+    const [category_list, setCategoryList] = useState([]);
+    const [cartItems, setCartItems] = useState(() => localStorage.getItem("token") ? {} : readGuestCart());
+    // priced by the server for logged in users, it carries the promo code & its discount lines
+    const [cartSummary, setCartSummary] = useState(null);
     const [token, setToken] = useState("")
+    const refreshRequest = useRef(null);
+    const cartSync = useRef({ pending: 0, version: -1, cartData: null, summary: null, stale: false });
 
+    // keeps the session in state & localStorage, called after login and after every refresh
+    const saveSession = (token, refreshToken) => {
+        setToken(token);
+        localStorage.setItem("token", token);
+        localStorage.setItem("refreshToken", refreshToken);
+    }
 
-    const addToCart = async (itemId) => {
-        if (!cartItems[itemId]) {
-            setCartItems((prev) => ({ ...prev, [itemId]: 1 }));
+    // the account's cart stays with the account, the visitor starts with an empty one
+    const clearSession = () => {
+        setToken("");
+        setCartItems({});
+        setCartSummary(null);
+        localStorage.removeItem("token");
+        localStorage.removeItem("refreshToken");
+    }
+
+    const logout = async () => {
+        const refreshToken = localStorage.getItem("refreshToken");
+        clearSession();
+        if (refreshToken) {
+            // the session is already gone here, a failed revoke only leaves the refresh token to expire
+            try {
+                await axios.post(url + "/api/user/logout", { refreshToken });
+            } catch (error) {
+                console.log(error);
+            }
+        }
+    }
+
+    // parallel requests failing with an expired token share a single refresh call
+    const refreshAccessToken = () => {
+        if (!refreshRequest.current) {
+            refreshRequest.current = (async () => {
+                const refreshToken = localStorage.getItem("refreshToken");
+                if (!refreshToken) {
+                    clearSession();
+                    return null;
+                }
+                const response = await axios.post(url + "/api/user/refresh", { refreshToken });
+                if (response.data.success) {
+                    saveSession(response.data.token, response.data.refreshToken);
+                    return response.data.token;
+                }
+                clearSession();
+                return null;
+            })().finally(() => {
+                refreshRequest.current = null;
+            });
         }
-        else {
-            setCartItems((prev) => ({ ...prev, [itemId]: prev[itemId] + 1 }));
+        return refreshRequest.current;
+    }
+
+
+    // Cart changes are shown right away and sent to the server. Once every pending change has been
+    // answered, the cart of the latest server version replaces the optimistic one.
+    const syncCart = async (path, body) => {
+        const sync = cartSync.current;
+        sync.pending += 1;
+        try {
+            const response = await axios.post(url + "/api/cart/" + path, body, { headers: { token } });
+            if (!response.data.success) {
+                toast.error(response.data.message);
+                sync.stale = true;
+            }
+            else if (response.data.cartVersion > sync.version) {
+                sync.version = response.data.cartVersion;
+                sync.cartData = response.data.cartData;
+                sync.summary = response.data.summary;
+            }
+            return response.data;
+        } catch (error) {
+            sync.stale = true;
+        } finally {
+            sync.pending -= 1;
+            if (sync.pending === 0) {
+                if (sync.stale) {
+                    // a change was refused, the server's cart is the one to show
+                    await loadCartData({ token });
+                }
+                else if (sync.cartData) {
+                    setCartItems(sync.cartData);
+                    setCartSummary(sync.summary);
+                }
+                sync.stale = false;
+                sync.cartData = null;
+                sync.summary = null;
+            }
         }
+    }
+
+    const addToCart = async (itemId) => {
+        setCartItems((prev) => ({ ...prev, [itemId]: (prev[itemId] || 0) + 1 }));
         if (token) {
-            await axios.post(url + "/api/cart/add", { itemId }, { headers: { token } });
+            await syncCart("add", { itemId });
         }
     }
 
+    // a line is dropped once its quantity reaches zero
     const removeFromCart = async (itemId) => {
-        setCartItems((prev) => ({ ...prev, [itemId]: prev[itemId] - 1 }))
+        setCartItems((prev) => {
+            const { [itemId]: quantity, ...rest } = prev;
+            return quantity > 1 ? { ...rest, [itemId]: quantity - 1 } : rest;
+        })
+        if (token) {
+            await syncCart("remove", { itemId });
+        }
+    }
+
+    const setCartQuantity = async (itemId, quantity) => {
+        if (quantity <= 0) {
+            return removeCartLine(itemId);
+        }
+        setCartItems((prev) => ({ ...prev, [itemId]: quantity }));
+        if (token) {
+            await syncCart("set", { itemId, quantity });
+        }
+    }
+
+    const removeCartLine = async (itemId) => {
+        setCartItems((prev) => {
+            const next = { ...prev };
+            delete next[itemId];
+            return next;
+        })
         if (token) {
-            await axios.post(url + "/api/cart/remove", { itemId }, { headers: { token } });
+            await syncCart("remove-line", { itemId });
         }
     }
 
+    const clearCart = async () => {
+        setCartItems({});
+        if (token) {
+            await syncCart("clear", {});
+        }
+    }
+
+    const applyPromoCode = async (code) => syncCart("apply-coupon", { code });
+
+    const removePromoCode = async () => syncCart("remove-coupon", {});
+
+    // cart lines with their food, chosen options and unit price
+    const getCartLines = () => {
+        const lines = [];
+        for (const key in cartItems) {
+            if (cartItems[key] > 0) {
+                const { itemId, optionIds } = parseCartKey(key);
+                const food = food_list.find((product) => product._id === itemId);
+                if (food) {
+                    const { options, unitPrice } = resolveOptions(food, optionIds);
+                    lines.push({ key, food, options, unitPrice, quantity: cartItems[key] });
+                }
+            }
+        }
+        return lines;
+    }
+
     const getTotalCartAmount = () => {
         let totalAmount = 0;
-        for (const item in cartItems) {
-            if (cartItems[item] > 0) {
-                let itemInfo = food_list.find((product) => product._id === item);
-                totalAmount += itemInfo.price * cartItems[item];
-            }
+        for (const line of getCartLines()) {
+            totalAmount += line.unitPrice * line.quantity;
         }
         return totalAmount;
     }
 
+    // discount lines of the promo code, the code is checked again by the server on every cart change
+    const getCartDiscounts = () => cartSummary && cartSummary.coupon && !cartSummary.coupon.error ? cartSummary.discounts : [];
+
+    const getCartDiscount = () => getCartDiscounts().reduce((sum, line) => sum + line.amount, 0);
+
     const fetchFoodList = async () => {
         const response = await axios.get(url + "/api/food/list");
         setFoodList(response.data.data)
     }
 
+    const fetchCategoryList = async () => {
+        const response = await axios.get(url + "/api/category/list");
+        setCategoryList(response.data.data)
+    }
+
     const loadCartData = async (token) => {
         const response = await axios.post(url + "/api/cart/get", {}, { headers: token });
+        if (response.data.success) {
+            cartSync.current.version = response.data.cartVersion;
+            setCartItems(response.data.cartData);
+            setCartSummary(response.data.summary);
+        }
+    }
+
+    // after login or sign up the guest cart joins the account's cart
+    const mergeGuestCart = async (token) => {
+        const guestCart = readGuestCart();
+        if (Object.keys(guestCart).length === 0) {
+            return loadCartData({ token });
+        }
+        const response = await axios.post(url + "/api/cart/merge", { cartData: guestCart }, { headers: { token } });
+        if (!response.data.success) {
+            return loadCartData({ token });
+        }
+        localStorage.removeItem(GUEST_CART_KEY);
+        cartSync.current.version = response.data.cartVersion;
         setCartItems(response.data.cartData);
+        setCartSummary(response.data.summary);
+        if (response.data.skipped > 0) {
+            toast.info(response.data.message);
+        }
     }
 
+    useEffect(() => {
+        if (!localStorage.getItem("token")) {
+            localStorage.setItem(GUEST_CART_KEY, JSON.stringify(cartItems));
+        }
+    }, [cartItems, token])
+
+    // other tabs changing the guest cart
+    useEffect(() => {
+        const onStorage = (event) => {
+            if (event.key === GUEST_CART_KEY && !localStorage.getItem("token")) {
+                setCartItems(readGuestCart());
+            }
+        }
+        window.addEventListener("storage", onStorage);
+        return () => window.removeEventListener("storage", onStorage);
+    }, [])
+
+    // retry requests rejected with an expired access token once a new one is issued
+    useEffect(() => {
+        const interceptor = axios.interceptors.response.use(async (response) => {
+            const config = response.config;
+            if (response.data && response.data.expired && !config.retried) {
+                const newToken = await refreshAccessToken();
+                if (newToken) {
+                    config.retried = true;
+                    config.headers.token = newToken;
+                    return axios(config);
+                }
+            }
+            return response;
+        });
+        return () => axios.interceptors.response.eject(interceptor);
+    }, [])
+
     useEffect(() => {
         async function loadData() {
-            await fetchFoodList();
+            await Promise.all([fetchFoodList(), fetchCategoryList()]);
             if (localStorage.getItem("token")) {
                 setToken(localStorage.getItem("token"))
                 await loadCartData({ token: localStorage.getItem("token") })
@@ -65,14 +283,26 @@ const StoreContextProvider = (props) => {
     const contextValue = {
         url,
         food_list,
-        menu_list,
+        category_list,
         cartItems,
         addToCart,
         removeFromCart,
+        setCartQuantity,
+        removeCartLine,
+        clearCart,
+        getCartLines,
         getTotalCartAmount,
+        cartSummary,
+        getCartDiscounts,
+        getCartDiscount,
+        applyPromoCode,
+        removePromoCode,
         token,
         setToken,
+        saveSession,
+        logout,
         loadCartData,
+        mergeGuestCart,
         setCartItems
     };
 
@@ -2,14 +2,6 @@ import basket_icon from './basket_icon.png'
 import logo from './logo.png'
 import header_img from './header_img.png'
 import search_icon from './search_icon.png'
-import menu_1 from './menu_1.png'
-import menu_2 from './menu_2.png'
-import menu_3 from './menu_3.png'
-import menu_4 from './menu_4.png'
-import menu_5 from './menu_5.png'
-import menu_6 from './menu_6.png'
-import menu_7 from './menu_7.png'
-import menu_8 from './menu_8.png'
 
 import food_1 from './food_1.png'
 import food_2 from './food_2.png'
@@ -82,40 +74,6 @@ export const assets = {
     parcel_icon
 }
 
-export const menu_list = [
-    {
-        menu_name: "Salad",
-        menu_image: menu_1
-    },
-    {
-        menu_name: "Rolls",
-        menu_image: menu_2
-    },
-    {
-        menu_name: "Deserts",
-        menu_image: menu_3
-    },
-    {
-        menu_name: "Sandwich",
-        menu_image: menu_4
-    },
-    {
-        menu_name: "Cake",
-        menu_image: menu_5
-    },
-    {
-        menu_name: "Pure Veg",
-        menu_image: menu_6
-    },
-    {
-        menu_name: "Pasta",
-        menu_image: menu_7
-    },
-    {
-        menu_name: "Noodles",
-        menu_image: menu_8
-    }]
-
 export const food_list = [
     {
         _id: "1",
@@ -348,3 +306,25 @@ export const food_list = [
         category: "Noodles"
     }
 ]
+
+// keep in step with the enums of the backend food model
+export const dietary_tags = [
+    { value: "vegetarian", label: "Vegetarian" },
+    { value: "vegan", label: "Vegan" },
+    { value: "gluten-free", label: "Gluten free" },
+    { value: "dairy-free", label: "Dairy free" },
+    { value: "halal", label: "Halal" },
+    { value: "spicy", label: "Spicy" }
+]
+
+export const allergen_list = [
+    { value: "gluten", label: "Gluten" },
+    { value: "dairy", label: "Dairy" },
+    { value: "eggs", label: "Eggs" },
+    { value: "nuts", label: "Nuts" },
+    { value: "peanuts", label: "Peanuts" },
+    { value: "soy", label: "Soy" },
+    { value: "fish", label: "Fish" },
+    { value: "shellfish", label: "Shellfish" },
+    { value: "sesame", label: "Sesame" }
+]
@@ -4,18 +4,18 @@ import { StoreContext } from '../../Context/StoreContext'
 
 const ExploreMenu = ({category,setCategory}) => {
 
-  const {menu_list} = useContext(StoreContext);
+  const {category_list} = useContext(StoreContext);
   
   return (
     <div className='explore-menu' id='explore-menu'>
       <h1>Explore our menu</h1>
       <p className='explore-menu-text'>Choose from a diverse menu featuring a delectable array of dishes. Our mission is to satisfy your cravings and elevate your dining experience, one delicious meal at a time.</p>
       <div className="explore-menu-list">
-        {menu_list.map((item,index)=>{
+        {category_list.map((item)=>{
             return (
-                <div onClick={()=>setCategory(prev=>prev===item.menu_name?"All":item.menu_name)} key={index} className='explore-menu-list-item'>
-                    <img src={item.menu_image} className={category===item.menu_name?"active":""} alt="" />
-                    <p>{item.menu_name}</p>
+                <div onClick={()=>setCategory(prev=>prev===item.name?"All":item.name)} key={item._id} className='explore-menu-list-item'>
+                    <img src={item.imageUrl} className={category===item.name?"active":""} alt="" />
+                    <p>{item.name}</p>
                 </div>
             )
         })}
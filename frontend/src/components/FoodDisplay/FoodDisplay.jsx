@@ -1,22 +1,68 @@
-import React, { useContext } from 'react'
+import React, { useContext, useEffect, useState } from 'react'
 import './FoodDisplay.css'
+import axios from 'axios'
 import FoodItem from '../FoodItem/FoodItem'
 import { StoreContext } from '../../Context/StoreContext'
+import { allergen_list, dietary_tags } from '../../assets/assets'
+
+const PAGE_SIZE = 12;
 
 const FoodDisplay = ({category}) => {
 
-  const {food_list} = useContext(StoreContext);
+  const {url} = useContext(StoreContext);
+  const [items, setItems] = useState([]);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [diet, setDiet] = useState([]);
+  const [excludedAllergens, setExcludedAllergens] = useState([]);
+
+  const fetchPage = async (pageToLoad) => {
+    const params = { page: pageToLoad, limit: PAGE_SIZE };
+    if (category !== "All") {
+      params.category = category;
+    }
+    if (diet.length > 0) {
+      params.diet = diet.join(",");
+    }
+    if (excludedAllergens.length > 0) {
+      params.excludeAllergens = excludedAllergens.join(",");
+    }
+    const response = await axios.get(url + "/api/food/list", { params });
+    if (response.data.success) {
+      setItems((prev) => pageToLoad === 1 ? response.data.data : [...prev, ...response.data.data]);
+      setPage(response.data.pagination.page);
+      setPages(response.data.pagination.pages);
+    }
+  }
+
+  const toggle = (setList, value) => {
+    setList((prev) => prev.includes(value) ? prev.filter((entry) => entry !== value) : [...prev, value]);
+  }
+
+  useEffect(() => {
+    fetchPage(1);
+  }, [category, diet, excludedAllergens])
 
   return (
     <div className='food-display' id='food-display'>
       <h2>Top dishes near you</h2>
+      <div className='food-display-filters'>
+        {dietary_tags.map((tag) => (
+          <p key={tag.value} onClick={() => toggle(setDiet, tag.value)} className={diet.includes(tag.value) ? "active" : ""}>{tag.label}</p>
+        ))}
+        {allergen_list.map((allergen) => (
+          <p key={allergen.value} onClick={() => toggle(setExcludedAllergens, allergen.value)} className={excludedAllergens.includes(allergen.value) ? "active" : ""}>No {allergen.label.toLowerCase()}</p>
+        ))}
+      </div>
       <div className='food-display-list'>
-        {food_list.map((item)=>{
-          if (category==="All" || category===item.category) {
-            return <FoodItem key={item._id} image={item.image} name={item.name} desc={item.description} price={item.price} id={item._id}/>
-          }
+        {items.map((item)=>{
+          return <FoodItem key={item._id} image={item.imageUrl} imageSrcSet={item.imageSrcSet} name={item.name} desc={item.description} price={item.price} id={item._id} available={item.available} stock={item.stock} optionGroups={item.optionGroups} dietaryTags={item.dietaryTags} allergens={item.allergens} nutrition={item.nutrition} rating={item.rating} availableNow={item.availableNow} schedule={item.schedule}/>
         })}
       </div>
+      {page < pages
+        ? <button className='food-display-more' onClick={() => fetchPage(page + 1)}>Load more</button>
+        : <></>
+      }
     </div>
   )
 }
@@ -2,31 +2,91 @@ import React, { useContext, useState } from 'react'
 import './FoodItem.css'
 import { assets } from '../../assets/assets'
 import { StoreContext } from '../../Context/StoreContext';
+import ModifierPicker from '../ModifierPicker/ModifierPicker';
+import StarRating from '../StarRating/StarRating';
+import FoodReviews from '../FoodReviews/FoodReviews';
+import { buildCartKey, parseCartKey } from '../../utils/cart';
+import { formatSchedule } from '../../utils/schedule';
+import { allergen_list, dietary_tags } from '../../assets/assets';
 
-const FoodItem = ({ image, name, price, desc , id }) => {
+const labelOf = (list, value) => (list.find((entry) => entry.value === value) || { label: value }).label;
+
+const FoodItem = ({ image, imageSrcSet, name, price, desc , id, available = true, stock = null, optionGroups = [], dietaryTags = [], allergens = [], nutrition = {}, rating = { average: 0, count: 0 }, availableNow = true, schedule = [] }) => {
 
     const [itemCount, setItemCount] = useState(0);
-    const {cartItems,addToCart,removeFromCart,url} = useContext(StoreContext);
+    const [showPicker, setShowPicker] = useState(false);
+    const [showReviews, setShowReviews] = useState(false);
+    const {cartItems,addToCart,removeFromCart} = useContext(StoreContext);
+
+    // every cart line of this item, whatever options were chosen
+    const lineKeys = Object.keys(cartItems).filter((key) => cartItems[key] > 0 && parseCartKey(key).itemId === id);
+    const count = lineKeys.reduce((sum, key) => sum + cartItems[key], 0);
+
+    const soldOut = !available || stock === 0;
+    // outside its serving hours the item is shown but can't be added
+    const closed = !soldOut && !availableNow;
+    const canAdd = !soldOut && !closed && (stock === null || count < stock);
+
+    const { calories, protein, carbs, fat } = nutrition || {};
+    const nutritionFacts = [
+        calories != null ? `${calories} kcal` : null,
+        protein != null ? `${protein}g protein` : null,
+        carbs != null ? `${carbs}g carbs` : null,
+        fat != null ? `${fat}g fat` : null
+    ].filter(Boolean);
+
+    const add = () => optionGroups.length > 0 ? setShowPicker(true) : addToCart(id);
+
+    const addWithOptions = (optionIds) => {
+        setShowPicker(false);
+        addToCart(buildCartKey(id, optionIds));
+    }
 
     return (
-        <div className='food-item'>
+        <div className={soldOut || closed ? 'food-item sold-out' : 'food-item'}>
+            {showPicker
+                ? <ModifierPicker name={name} price={price} optionGroups={optionGroups} onClose={() => setShowPicker(false)} onConfirm={addWithOptions} />
+                : <></>
+            }
+            {showReviews
+                ? <FoodReviews id={id} name={name} rating={rating} onClose={() => setShowReviews(false)} />
+                : <></>
+            }
             <div className='food-item-img-container'>
-                <img className='food-item-image' src={url+"/images/"+image} alt="" />
-                {!cartItems[id]
-                ?<img className='add' onClick={() => addToCart(id)} src={assets.add_icon_white} alt="" />
+                <img className='food-item-image' src={image} srcSet={imageSrcSet || undefined} sizes="(max-width: 600px) 90vw, 320px" alt="" />
+                {soldOut ? <p className='food-item-sold-out'>Out of stock</p> : <></>}
+                {closed ? <p className='food-item-sold-out'>Not served now</p> : <></>}
+                {!count
+                ?(canAdd ? <img className='add' onClick={add} src={assets.add_icon_white} alt="" /> : <></>)
                 :<div className="food-item-counter">
-                        <img src={assets.remove_icon_red} onClick={()=>removeFromCart(id)} alt="" />
-                        <p>{cartItems[id]}</p>
-                        <img src={assets.add_icon_green} onClick={()=>addToCart(id)} alt="" />
+                        <img src={assets.remove_icon_red} onClick={()=>removeFromCart(lineKeys[lineKeys.length - 1])} alt="" />
+                        <p>{count}</p>
+                        {canAdd ? <img src={assets.add_icon_green} onClick={add} alt="" /> : <></>}
                     </div>
                 }
             </div>
             <div className="food-item-info">
                 <div className="food-item-name-rating">
-                    <p>{name}</p> <img src={assets.rating_starts} alt="" />
+                    <p>{name}</p>
+                    <div className="food-item-rating" onClick={() => setShowReviews(true)}>
+                        <StarRating rating={rating.average} />
+                        <span>({rating.count})</span>
+                    </div>
                 </div>
+                {dietaryTags.length > 0
+                    ? <div className="food-item-badges">
+                        {dietaryTags.map((tag) => <span key={tag} className={"food-item-badge " + tag}>{labelOf(dietary_tags, tag)}</span>)}
+                    </div>
+                    : <></>
+                }
                 <p className="food-item-desc">{desc}</p>
+                {allergens.length > 0
+                    ? <p className="food-item-allergens">Contains: {allergens.map((allergen) => labelOf(allergen_list, allergen)).join(", ")}</p>
+                    : <></>
+                }
+                {nutritionFacts.length > 0 ? <p className="food-item-nutrition">{nutritionFacts.join(" · ")}</p> : <></>}
                 <p className="food-item-price">${price}</p>
+                {schedule.length > 0 ? <p className="food-item-schedule">Served {formatSchedule(schedule)}</p> : <></>}
             </div>
         </div>
     )
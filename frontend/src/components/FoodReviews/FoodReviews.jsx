@@ -0,0 +1,104 @@
+import React, { useContext, useEffect, useState } from 'react'
+import './FoodReviews.css'
+import axios from 'axios'
+import { toast } from 'react-toastify'
+import { assets } from '../../assets/assets'
+import { StoreContext } from '../../Context/StoreContext'
+import StarRating from '../StarRating/StarRating'
+
+// reviews of a dish, customers who had it delivered can also write theirs here
+const FoodReviews = ({ id, name, rating, onClose }) => {
+
+    const { url, token } = useContext(StoreContext);
+    const [summary, setSummary] = useState(rating);
+    const [reviews, setReviews] = useState([]);
+    const [page, setPage] = useState(1);
+    const [pages, setPages] = useState(1);
+    const [canReview, setCanReview] = useState(false);
+    const [form, setForm] = useState({ rating: 0, comment: "" });
+
+    const fetchReviews = async (pageToLoad) => {
+        const response = await axios.get(url + "/api/review/list", { params: { foodId: id, page: pageToLoad } });
+        if (response.data.success) {
+            setReviews((prev) => pageToLoad === 1 ? response.data.data : [...prev, ...response.data.data]);
+            setPage(response.data.pagination.page);
+            setPages(response.data.pagination.pages);
+        }
+    }
+
+    const fetchStatus = async () => {
+        const response = await axios.post(url + "/api/review/status", { foodId: id }, { headers: { token } });
+        if (response.data.success) {
+            setCanReview(response.data.canReview);
+            if (response.data.review) {
+                setForm({ rating: response.data.review.rating, comment: response.data.review.comment });
+            }
+        }
+    }
+
+    const onSubmit = async (event) => {
+        event.preventDefault();
+        if (!form.rating) {
+            toast.error("Pick a star rating first")
+            return;
+        }
+        const response = await axios.post(url + "/api/review/add", { foodId: id, ...form }, { headers: { token } });
+        if (response.data.success) {
+            toast.success(response.data.message)
+            const food = await axios.get(url + "/api/food/item/" + id);
+            if (food.data.success) {
+                setSummary(food.data.data.rating);
+            }
+            await fetchReviews(1);
+        }
+        else {
+            toast.error(response.data.message)
+        }
+    }
+
+    useEffect(() => {
+        fetchReviews(1);
+        if (token) {
+            fetchStatus();
+        }
+    }, [id, token])
+
+    return (
+        <div className='food-reviews' onClick={onClose}>
+            <div className="food-reviews-container" onClick={(e) => e.stopPropagation()}>
+                <div className="food-reviews-title">
+                    <h2>{name}</h2>
+                    <img onClick={onClose} src={assets.cross_icon} alt="" />
+                </div>
+                <div className="food-reviews-summary">
+                    <StarRating rating={summary.average} />
+                    <p>{summary.count > 0 ? `${summary.average} out of 5 · ${summary.count} ${summary.count === 1 ? "review" : "reviews"}` : "No reviews yet"}</p>
+                </div>
+                {canReview
+                    ? <form className='food-reviews-form' onSubmit={onSubmit}>
+                        <p>Your review</p>
+                        <StarRating rating={form.rating} onChange={(value) => setForm((form) => ({ ...form, rating: value }))} />
+                        <textarea rows={3} maxLength={1000} value={form.comment} onChange={(e) => setForm((form) => ({ ...form, comment: e.target.value }))} placeholder='What did you think of it?' />
+                        <button type='submit'>Save review</button>
+                    </form>
+                    : <></>
+                }
+                <div className="food-reviews-list">
+                    {reviews.map((review) => (
+                        <div key={review._id} className='food-reviews-item'>
+                            <div className='food-reviews-item-header'>
+                                <b>{review.userName}</b>
+                                <StarRating rating={review.rating} />
+                            </div>
+                            {review.comment ? <p>{review.comment}</p> : <></>}
+                            <span>{new Date(review.createdAt).toLocaleDateString()}</span>
+                        </div>
+                    ))}
+                </div>
+                {page < pages ? <p className='food-reviews-more' onClick={() => fetchReviews(page + 1)}>Show more reviews</p> : <></>}
+            </div>
+        </div>
+    )
+}
+
+export default FoodReviews
@@ -1,4 +1,4 @@
-import React, { useContext, useState } from 'react'
+import React, { useContext, useEffect, useState } from 'react'
 import './LoginPopup.css'
 import { assets } from '../../assets/assets'
 import { StoreContext } from '../../Context/StoreContext'
@@ -7,8 +7,14 @@ import { toast } from 'react-toastify'
 
 const LoginPopup = ({ setShowLogin }) => {
 
-    const { setToken, url,loadCartData } = useContext(StoreContext)
+    const { saveSession, url, mergeGuestCart } = useContext(StoreContext)
     const [currState, setCurrState] = useState("Sign Up");
+    const [error, setError] = useState("");
+    const [lockedUntil, setLockedUntil] = useState(0);
+    const [now, setNow] = useState(Date.now());
+    // "code" or "recovery" once the account asks for its second factor
+    const [twoFactor, setTwoFactor] = useState("");
+    const [code, setCode] = useState("");
 
     const [data, setData] = useState({
         name: "",
@@ -22,8 +28,32 @@ const LoginPopup = ({ setShowLogin }) => {
         setData(data => ({ ...data, [name]: value }))
     }
 
+    const secondsLeft = Math.max(0, Math.ceil((lockedUntil - now) / 1000));
+
+    // ticks the countdown while the account is locked out
+    useEffect(() => {
+        if (!lockedUntil) {
+            return;
+        }
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [lockedUntil])
+
     const onLogin = async (e) => {
         e.preventDefault()
+        setError("")
+
+        if (currState === "Forgot Password") {
+            const response = await axios.post(url + "/api/user/forgot-password", { email: data.email });
+            if (response.data.success) {
+                toast.success(response.data.message)
+                setCurrState("Login")
+            }
+            else {
+                toast.error(response.data.message)
+            }
+            return;
+        }
 
         let new_url = url;
         if (currState === "Login") {
@@ -32,14 +62,34 @@ const LoginPopup = ({ setShowLogin }) => {
         else {
             new_url += "/api/user/register"
         }
-        const response = await axios.post(new_url, data);
+        let payload = data;
+        if (currState === "Login" && twoFactor) {
+            payload = { ...data, [twoFactor === "code" ? "code" : "recoveryCode"]: code };
+        }
+        const response = await axios.post(new_url, payload);
         if (response.data.success) {
-            setToken(response.data.token)
-            localStorage.setItem("token", response.data.token)
-            loadCartData({token:response.data.token})
+            saveSession(response.data.token, response.data.refreshToken)
+            if (currState === "Sign Up") {
+                toast.info("We sent you an email, please verify your address before ordering")
+            }
+            mergeGuestCart(response.data.token)
             setShowLogin(false)
         }
+        else if (response.data.twoFactorRequired) {
+            setTwoFactor(twoFactor || "code")
+            setCode("")
+            setError(response.data.message)
+        }
+        else if (response.data.twoFactorSetupRequired) {
+            setError(response.data.message + ", please set it up from the admin panel")
+        }
+        else if (response.data.retryAfter) {
+            setLockedUntil(Date.now() + response.data.retryAfter * 1000)
+            setNow(Date.now())
+            setError(response.data.message)
+        }
         else {
+            setError(response.data.message)
             toast.error(response.data.message)
         }
     }
@@ -53,15 +103,37 @@ const LoginPopup = ({ setShowLogin }) => {
                 <div className="login-popup-inputs">
                     {currState === "Sign Up" ? <input name='name' onChange={onChangeHandler} value={data.name} type="text" placeholder='Your name' required /> : <></>}
                     <input name='email' onChange={onChangeHandler} value={data.email} type="email" placeholder='Your email' />
-                    <input name='password' onChange={onChangeHandler} value={data.password} type="password" placeholder='Password' required />
-                </div>
-                <button>{currState === "Login" ? "Login" : "Create account"}</button>
-                <div className="login-popup-condition">
-                    <input type="checkbox" name="" id="" required/>
-                    <p>By continuing, i agree to the terms of use & privacy policy.</p>
+                    {currState !== "Forgot Password" ? <input name='password' onChange={onChangeHandler} value={data.password} type="password" placeholder='Password' required /> : <></>}
+                    {currState === "Login" && twoFactor
+                        ? <input name='code' onChange={(e) => setCode(e.target.value)} value={code} type="text" autoComplete='one-time-code'
+                            placeholder={twoFactor === "code" ? 'Authentication code' : 'Recovery code'} required />
+                        : <></>
+                    }
                 </div>
+                {currState === "Login" && twoFactor
+                    ? <p>{twoFactor === "code"
+                        ? <>Lost your device? <span onClick={() => setTwoFactor("recovery")}>Use a recovery code</span></>
+                        : <>Have your device? <span onClick={() => setTwoFactor("code")}>Use an authentication code</span></>
+                    }</p>
+                    : <></>
+                }
+                {error
+                    ? <p className='login-popup-error'>{error}{secondsLeft > 0 ? ` (${Math.floor(secondsLeft / 60)}:${String(secondsLeft % 60).padStart(2, "0")})` : ""}</p>
+                    : <></>
+                }
+                <button disabled={currState === "Login" && secondsLeft > 0}>{currState === "Login" ? "Login" : currState === "Forgot Password" ? "Send reset link" : "Create account"}</button>
+                {currState !== "Forgot Password"
+                    ? <div className="login-popup-condition">
+                        <input type="checkbox" name="" id="" required/>
+                        <p>By continuing, i agree to the terms of use & privacy policy.</p>
+                    </div>
+                    : <></>
+                }
                 {currState === "Login"
-                    ? <p>Create a new account? <span onClick={() => setCurrState('Sign Up')}>Click here</span></p>
+                    ? <>
+                        <p>Forgot your password? <span onClick={() => setCurrState('Forgot Password')}>Reset it</span></p>
+                        <p>Create a new account? <span onClick={() => setCurrState('Sign Up')}>Click here</span></p>
+                    </>
                     : <p>Already have an account? <span onClick={() => setCurrState('Login')}>Login here</span></p>
                 }
             </form>
@@ -0,0 +1,75 @@
+import React, { useState } from 'react'
+import './ModifierPicker.css'
+import { assets } from '../../assets/assets'
+
+// lets the customer choose the options of an item before it goes in the cart
+const ModifierPicker = ({ name, price, optionGroups, onClose, onConfirm }) => {
+
+    // option ids chosen per group, single choice groups start on their first option when required
+    const [selected, setSelected] = useState(() => Object.fromEntries(optionGroups.map((group) => [
+        group._id,
+        group.required && group.maxSelect === 1 ? [group.options[0]._id] : []
+    ])));
+
+    const minFor = (group) => group.required ? Math.max(group.minSelect, 1) : group.minSelect;
+
+    const toggle = (group, optionId) => {
+        setSelected((prev) => {
+            const current = prev[group._id];
+            if (group.maxSelect === 1) {
+                return { ...prev, [group._id]: current.includes(optionId) && !group.required ? [] : [optionId] };
+            }
+            if (current.includes(optionId)) {
+                return { ...prev, [group._id]: current.filter((id) => id !== optionId) };
+            }
+            if (current.length >= group.maxSelect) {
+                return prev;
+            }
+            return { ...prev, [group._id]: [...current, optionId] };
+        });
+    }
+
+    const total = optionGroups.reduce((sum, group) => sum + group.options
+        .filter((option) => selected[group._id].includes(option._id))
+        .reduce((groupSum, option) => groupSum + option.priceDelta, 0), price);
+
+    const complete = optionGroups.every((group) => selected[group._id].length >= minFor(group));
+
+    const confirm = () => {
+        if (complete) {
+            onConfirm(Object.values(selected).flat());
+        }
+    }
+
+    return (
+        <div className='modifier-picker' onClick={onClose}>
+            <div className="modifier-picker-container" onClick={(e) => e.stopPropagation()}>
+                <div className="modifier-picker-title">
+                    <h2>{name}</h2>
+                    <img onClick={onClose} src={assets.cross_icon} alt="" />
+                </div>
+                {optionGroups.map((group) => (
+                    <div key={group._id} className="modifier-picker-group">
+                        <p className='modifier-picker-group-name'>
+                            {group.name}
+                            <span>{group.required ? "Required" : "Optional"}{group.maxSelect > 1 ? ` · up to ${group.maxSelect}` : ""}</span>
+                        </p>
+                        {group.options.map((option) => (
+                            <label key={option._id} className='modifier-picker-option'>
+                                <input
+                                    type={group.required && group.maxSelect === 1 ? "radio" : "checkbox"}
+                                    checked={selected[group._id].includes(option._id)}
+                                    onChange={() => toggle(group, option._id)} />
+                                <p>{option.name}</p>
+                                {option.priceDelta !== 0 ? <span>{option.priceDelta > 0 ? "+" : "-"}${Math.abs(option.priceDelta)}</span> : <></>}
+                            </label>
+                        ))}
+                    </div>
+                ))}
+                <button disabled={!complete} onClick={confirm}>Add to cart · ${total}</button>
+            </div>
+        </div>
+    )
+}
+
+export default ModifierPicker
@@ -0,0 +1,73 @@
+import React, { useContext, useEffect, useState } from 'react'
+import './SearchBar.css'
+import axios from 'axios'
+import { assets } from '../../assets/assets'
+import { useNavigate } from 'react-router-dom'
+import { StoreContext } from '../../Context/StoreContext'
+
+const SearchBar = () => {
+
+    const { url } = useContext(StoreContext);
+    const navigate = useNavigate();
+
+    const [open, setOpen] = useState(false);
+    const [query, setQuery] = useState("");
+    const [suggestions, setSuggestions] = useState([]);
+
+    // only ask for suggestions once the user stops typing
+    useEffect(() => {
+        if (!query.trim()) {
+            setSuggestions([]);
+            return;
+        }
+        const timer = setTimeout(async () => {
+            const response = await axios.get(url + "/api/food/suggest", { params: { q: query } });
+            if (response.data.success) {
+                setSuggestions(response.data.data);
+            }
+        }, 300);
+        return () => clearTimeout(timer);
+    }, [query])
+
+    const search = (text) => {
+        if (!text.trim()) {
+            return;
+        }
+        setSuggestions([]);
+        setOpen(false);
+        navigate('/search?q=' + encodeURIComponent(text.trim()));
+    }
+
+    const onKeyDown = (event) => {
+        if (event.key === "Enter") {
+            search(query);
+        }
+        else if (event.key === "Escape") {
+            setOpen(false);
+        }
+    }
+
+    return (
+        <div className='search-bar'>
+            {open
+                ? <input autoFocus value={query} onChange={(e) => setQuery(e.target.value)} onKeyDown={onKeyDown}
+                    onBlur={() => setTimeout(() => setOpen(false), 200)} type="text" placeholder='Search dishes' />
+                : <></>
+            }
+            <img src={assets.search_icon} onClick={() => open ? search(query) : setOpen(true)} alt="" />
+            {open && suggestions.length > 0
+                ? <ul className='search-bar-suggestions'>
+                    {suggestions.map((item) => (
+                        <li key={item._id} onMouseDown={() => search(item.name)}>
+                            <p>{item.name}</p>
+                            <span>{item.category}</span>
+                        </li>
+                    ))}
+                </ul>
+                : <></>
+            }
+        </div>
+    )
+}
+
+export default SearchBar
@@ -0,0 +1,25 @@
+import React from 'react'
+import './StarRating.css'
+
+// five stars filled up to the rating, clickable when onChange is given
+const StarRating = ({ rating, onChange }) => {
+
+    if (onChange) {
+        return (
+            <div className='star-rating star-rating-input'>
+                {[1, 2, 3, 4, 5].map((value) => (
+                    <span key={value} className={value <= rating ? "filled" : ""} onClick={() => onChange(value)}>★</span>
+                ))}
+            </div>
+        )
+    }
+
+    return (
+        <div className='star-rating' title={`${rating} out of 5`}>
+            <span>★★★★★</span>
+            <span className='star-rating-fill' style={{ width: `${(rating / 5) * 100}%` }}>★★★★★</span>
+        </div>
+    )
+}
+
+export default StarRating
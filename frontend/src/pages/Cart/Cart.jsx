@@ -1,11 +1,30 @@
-import React, { useContext } from 'react'
+import React, { useContext, useState } from 'react'
 import './Cart.css'
 import { StoreContext } from '../../Context/StoreContext'
 import { useNavigate } from 'react-router-dom';
+import { formatOptions } from '../../utils/cart';
+import { toast } from 'react-toastify';
 
 const Cart = () => {
 
-  const {cartItems, food_list, removeFromCart,getTotalCartAmount,url} = useContext(StoreContext);
+  const {getCartLines, setCartQuantity, removeCartLine, clearCart, getTotalCartAmount, getCartDiscounts, getCartDiscount, cartSummary, applyPromoCode, removePromoCode, token} = useContext(StoreContext);
+  const [promoCode, setPromoCode] = useState("");
+  const lines = getCartLines();
+  const subtotal = getTotalCartAmount();
+  const total = subtotal === 0 ? 0 : Math.round((subtotal + 5 - getCartDiscount()) * 100) / 100;
+  const coupon = cartSummary ? cartSummary.coupon : null;
+
+  const onApplyPromoCode = async () => {
+    if (!token) {
+      toast.error("Sign in to use a promo code")
+      return;
+    }
+    const result = await applyPromoCode(promoCode);
+    if (result && result.success) {
+      toast.success(result.message)
+      setPromoCode("");
+    }
+  }
   const navigate = useNavigate();
 
   return (
@@ -16,31 +35,43 @@ const Cart = () => {
         </div>
         <br />
         <hr />
-        {food_list.map((item, index) => {
-          if (cartItems[item._id]>0) {
-            return (<div key={index}>
-              <div className="cart-items-title cart-items-item">
-                <img src={url+"/images/"+item.image} alt="" />
-                <p>{item.name}</p>
-                <p>${item.price}</p>
-                <div>{cartItems[item._id]}</div>
-                <p>${item.price*cartItems[item._id]}</p>
-                <p className='cart-items-remove-icon' onClick={()=>removeFromCart(item._id)}>x</p>
+        {lines.map((line) => {
+          return (<div key={line.key}>
+            <div className="cart-items-title cart-items-item">
+              <img src={line.food.imageUrl} srcSet={line.food.imageSrcSet || undefined} sizes="50px" alt="" />
+              <div className='cart-items-name'>
+                <p>{line.food.name}</p>
+                {line.options.length > 0 ? <span>{formatOptions(line.options)}</span> : <></>}
+              </div>
+              <p>${line.unitPrice}</p>
+              <div className='cart-items-quantity'>
+                <button onClick={()=>setCartQuantity(line.key, line.quantity-1)}>-</button>
+                <span>{line.quantity}</span>
+                <button onClick={()=>setCartQuantity(line.key, line.quantity+1)}>+</button>
               </div>
-              <hr />
-            </div>)
-          }
+              <p>${line.unitPrice*line.quantity}</p>
+              <p className='cart-items-remove-icon' onClick={()=>removeCartLine(line.key)}>x</p>
+            </div>
+            <hr />
+          </div>)
         })}
+        {lines.length > 0 ? <p className='cart-clear' onClick={clearCart}>Clear cart</p> : <></>}
       </div>
       <div className="cart-bottom">
         <div className="cart-total">
           <h2>Cart Totals</h2>
           <div>
-            <div className="cart-total-details"><p>Subtotal</p><p>${getTotalCartAmount()}</p></div>
+            <div className="cart-total-details"><p>Subtotal</p><p>${subtotal}</p></div>
             <hr />
-            <div className="cart-total-details"><p>Delivery Fee</p><p>${getTotalCartAmount()===0?0:5}</p></div>
+            <div className="cart-total-details"><p>Delivery Fee</p><p>${subtotal===0?0:5}</p></div>
             <hr />
-            <div className="cart-total-details"><b>Total</b><b>${getTotalCartAmount()===0?0:getTotalCartAmount()+5}</b></div>
+            {getCartDiscounts().map((line) => (
+              <div key={line.label}>
+                <div className="cart-total-details cart-total-discount"><p>{line.label}</p><p>-${line.amount}</p></div>
+                <hr />
+              </div>
+            ))}
+            <div className="cart-total-details"><b>Total</b><b>${total}</b></div>
           </div>
           <button onClick={()=>navigate('/order')}>PROCEED TO CHECKOUT</button>
         </div>
@@ -48,9 +79,16 @@ const Cart = () => {
           <div>
             <p>If you have a promo code, Enter it here</p>
             <div className='cart-promocode-input'>
-              <input type="text" placeholder='promo code'/>
-              <button>Submit</button>
+              <input type="text" placeholder='promo code' value={promoCode} onChange={(e)=>setPromoCode(e.target.value)}/>
+              <button onClick={onApplyPromoCode}>Submit</button>
             </div>
+            {coupon
+              ? <div className='cart-promocode-applied'>
+                  <p><b>{coupon.code}</b> {coupon.error ? `- ${coupon.error}` : "applied"}</p>
+                  <span onClick={removePromoCode}>Remove</span>
+                </div>
+              : <></>
+            }
           </div>
         </div>
       </div>
@@ -3,6 +3,7 @@ import './MyOrders.css'
 import axios from 'axios'
 import { StoreContext } from '../../Context/StoreContext';
 import { assets } from '../../assets/assets';
+import { formatOptions } from '../../utils/cart';
 
 const MyOrders = () => {
   
@@ -29,11 +30,12 @@ const MyOrders = () => {
             <div key={index} className='my-orders-order'>
                 <img src={assets.parcel_icon} alt="" />
                 <p>{order.items.map((item,index)=>{
+                  const itemName = item.options && item.options.length > 0 ? item.name+" ("+formatOptions(item.options)+")" : item.name;
                   if (index === order.items.length-1) {
-                    return item.name+" x "+item.quantity
+                    return itemName+" x "+item.quantity
                   }
                   else{
-                    return item.name+" x "+item.quantity+", "
+                    return itemName+" x "+item.quantity+", "
                   }
                   
                 })}</p>
@@ -20,7 +20,14 @@ const PlaceOrder = () => {
         phone: ""
     })
 
-    const { getTotalCartAmount, token, food_list, cartItems, url, setCartItems } = useContext(StoreContext);
+    const [unverified, setUnverified] = useState(false);
+    const [addresses, setAddresses] = useState([]);
+    const [selectedAddress, setSelectedAddress] = useState("");
+    const [saveAddress, setSaveAddress] = useState(false);
+
+    const { getTotalCartAmount, getCartLines, getCartDiscounts, getCartDiscount, token, url, setCartItems } = useContext(StoreContext);
+    const subtotal = getTotalCartAmount();
+    const total = subtotal === 0 ? 0 : Math.round((subtotal + 5 - getCartDiscount()) * 100) / 100;
 
     const navigate = useNavigate();
 
@@ -28,30 +35,89 @@ const PlaceOrder = () => {
         const name = event.target.name
         const value = event.target.value
         setData(data => ({ ...data, [name]: value }))
+        setSelectedAddress("")
+    }
+
+    // copies a saved address into the form
+    const fillAddress = (address) => {
+        setData({
+            firstName: address.firstName,
+            lastName: address.lastName,
+            email: address.email,
+            street: address.street,
+            city: address.city,
+            state: address.state,
+            zipcode: address.zipcode,
+            country: address.country,
+            phone: address.phone
+        })
+        setSelectedAddress(address._id)
+    }
+
+    const fetchAddresses = async () => {
+        const response = await axios.post(url + "/api/address/list", {}, { headers: { token } });
+        if (response.data.success) {
+            setAddresses(response.data.data);
+            const defaultAddress = response.data.data.find((address) => address.isDefault);
+            if (defaultAddress) {
+                fillAddress(defaultAddress);
+            }
+        }
+    }
+
+    const onSelectAddress = (event) => {
+        const address = addresses.find((address) => address._id === event.target.value);
+        if (address) {
+            fillAddress(address);
+        }
     }
 
     const placeOrder = async (e) => {
         e.preventDefault()
-        let orderItems = [];
-        food_list.map(((item) => {
-            if (cartItems[item._id] > 0) {
-                let itemInfo = item;
-                itemInfo["quantity"] = cartItems[item._id];
-                orderItems.push(itemInfo)
-            }
+        // the backend prices every line again from the cart key
+        let orderItems = getCartLines().map((line) => ({
+            _id: line.food._id,
+            cartKey: line.key,
+            name: line.food.name,
+            price: line.unitPrice,
+            quantity: line.quantity,
+            options: line.options
         }))
+        if (saveAddress && !selectedAddress) {
+            const saved = await axios.post(url + "/api/address/add", data, { headers: { token } });
+            if (saved.data.success) {
+                setAddresses(saved.data.data);
+            }
+            else {
+                toast.error(saved.data.message)
+            }
+        }
+        // the amount & the promo code discount are worked out by the backend
         let orderData = {
             address: data,
             items: orderItems,
-            amount: getTotalCartAmount() + 5,
         }
         let response = await axios.post(url + "/api/order/place", orderData, { headers: { token } });
         if (response.data.success) {
             const { session_url } = response.data;
             window.location.replace(session_url);
         }
+        else if (response.data.unverified) {
+            setUnverified(true);
+            toast.error(response.data.message)
+        }
+        else {
+            toast.error(response.data.message || "Something Went Wrong")
+        }
+    }
+
+    const resendVerification = async () => {
+        const response = await axios.post(url + "/api/user/resend-verification", {}, { headers: { token } });
+        if (response.data.success) {
+            toast.success(response.data.message)
+        }
         else {
-            toast.error("Something Went Wrong")
+            toast.error(response.data.message)
         }
     }
 
@@ -63,12 +129,26 @@ const PlaceOrder = () => {
         else if (getTotalCartAmount() === 0) {
             navigate('/cart')
         }
+        else {
+            fetchAddresses()
+        }
     }, [token])
 
     return (
         <form onSubmit={placeOrder} className='place-order'>
             <div className="place-order-left">
                 <p className='title'>Delivery Information</p>
+                {addresses.length > 0
+                    ? <select className='place-order-saved' value={selectedAddress} onChange={onSelectAddress}>
+                        <option value="">Use a saved address</option>
+                        {addresses.map((address) => (
+                            <option key={address._id} value={address._id}>
+                                {(address.label ? address.label + " - " : "") + address.street + ", " + address.city}
+                            </option>
+                        ))}
+                    </select>
+                    : <></>
+                }
                 <div className="multi-field">
                     <input type="text" name='firstName' onChange={onChangeHandler} value={data.firstName} placeholder='First name' required />
                     <input type="text" name='lastName' onChange={onChangeHandler} value={data.lastName} placeholder='Last name' required />
@@ -84,18 +164,35 @@ const PlaceOrder = () => {
                     <input type="text" name='country' onChange={onChangeHandler} value={data.country} placeholder='Country' required />
                 </div>
                 <input type="text" name='phone' onChange={onChangeHandler} value={data.phone} placeholder='Phone' required />
+                {!selectedAddress
+                    ? <label className='place-order-save'>
+                        <input type="checkbox" checked={saveAddress} onChange={(e) => setSaveAddress(e.target.checked)} />
+                        <p>Save this address for next time</p>
+                    </label>
+                    : <></>
+                }
             </div>
             <div className="place-order-right">
                 <div className="cart-total">
                     <h2>Cart Totals</h2>
                     <div>
-                        <div className="cart-total-details"><p>Subtotal</p><p>${getTotalCartAmount()}</p></div>
+                        <div className="cart-total-details"><p>Subtotal</p><p>${subtotal}</p></div>
                         <hr />
-                        <div className="cart-total-details"><p>Delivery Fee</p><p>${getTotalCartAmount() === 0 ? 0 : 5}</p></div>
+                        <div className="cart-total-details"><p>Delivery Fee</p><p>${subtotal === 0 ? 0 : 5}</p></div>
                         <hr />
-                        <div className="cart-total-details"><b>Total</b><b>${getTotalCartAmount() === 0 ? 0 : getTotalCartAmount() + 5}</b></div>
+                        {getCartDiscounts().map((line) => (
+                            <div key={line.label}>
+                                <div className="cart-total-details cart-total-discount"><p>{line.label}</p><p>-${line.amount}</p></div>
+                                <hr />
+                            </div>
+                        ))}
+                        <div className="cart-total-details"><b>Total</b><b>${total}</b></div>
                     </div>
                 </div>
+                {unverified
+                    ? <p className='place-order-unverified'>Your email is not verified yet. Check your inbox or <span onClick={resendVerification}>resend the verification email</span>.</p>
+                    : <></>
+                }
                 <button className='place-order-submit' type='submit'>Proceed To Payment</button>
             </div>
         </form>
@@ -0,0 +1,161 @@
+import React, { useContext, useEffect, useState } from 'react'
+import './Profile.css'
+import axios from 'axios'
+import { toast } from 'react-toastify'
+import { useNavigate } from 'react-router-dom'
+import { StoreContext } from '../../Context/StoreContext'
+
+const Profile = () => {
+
+    const { url, token, saveSession } = useContext(StoreContext);
+    const navigate = useNavigate();
+
+    const [profile, setProfile] = useState({
+        name: "",
+        email: ""
+    })
+    const [verified, setVerified] = useState(true);
+    const [addresses, setAddresses] = useState([]);
+
+    const [passwords, setPasswords] = useState({
+        currentPassword: "",
+        newPassword: "",
+        confirmPassword: ""
+    })
+
+    const fetchProfile = async () => {
+        const response = await axios.post(url + "/api/user/profile", {}, { headers: { token } });
+        if (response.data.success) {
+            setProfile({ name: response.data.data.name, email: response.data.data.email });
+            setVerified(response.data.data.verified);
+        }
+    }
+
+    const fetchAddresses = async () => {
+        const response = await axios.post(url + "/api/address/list", {}, { headers: { token } });
+        if (response.data.success) {
+            setAddresses(response.data.data);
+        }
+    }
+
+    const addressAction = async (action, addressId) => {
+        const response = await axios.post(url + "/api/address/" + action, { addressId }, { headers: { token } });
+        if (response.data.success) {
+            setAddresses(response.data.data);
+            toast.success(response.data.message)
+        }
+        else {
+            toast.error(response.data.message)
+        }
+    }
+
+    const onProfileChange = (event) => {
+        const name = event.target.name
+        const value = event.target.value
+        setProfile(data => ({ ...data, [name]: value }))
+    }
+
+    const onPasswordChange = (event) => {
+        const name = event.target.name
+        const value = event.target.value
+        setPasswords(data => ({ ...data, [name]: value }))
+    }
+
+    const updateProfile = async (e) => {
+        e.preventDefault()
+        const response = await axios.post(url + "/api/user/profile/update", profile, { headers: { token } });
+        if (response.data.success) {
+            setVerified(response.data.data.verified);
+            toast.success(response.data.message)
+        }
+        else {
+            toast.error(response.data.message)
+        }
+    }
+
+    const changePassword = async (e) => {
+        e.preventDefault()
+        if (passwords.newPassword !== passwords.confirmPassword) {
+            return toast.error("Passwords do not match")
+        }
+        const response = await axios.post(url + "/api/user/profile/password", {
+            currentPassword: passwords.currentPassword,
+            newPassword: passwords.newPassword
+        }, { headers: { token } });
+        if (response.data.success) {
+            saveSession(response.data.token, response.data.refreshToken)
+            setPasswords({ currentPassword: "", newPassword: "", confirmPassword: "" })
+            toast.success(response.data.message)
+        }
+        else {
+            toast.error(response.data.message)
+        }
+    }
+
+    const resendVerification = async () => {
+        const response = await axios.post(url + "/api/user/resend-verification", {}, { headers: { token } });
+        if (response.data.success) {
+            toast.success(response.data.message)
+        }
+        else {
+            toast.error(response.data.message)
+        }
+    }
+
+    useEffect(() => {
+        if (token) {
+            fetchProfile();
+            fetchAddresses();
+        }
+        else if (!localStorage.getItem("token")) {
+            navigate('/')
+        }
+    }, [token])
+
+    return (
+        <div className='profile'>
+            <h2>My Profile</h2>
+            <div className="profile-forms">
+                <form onSubmit={updateProfile} className='profile-form'>
+                    <p className='title'>Account details</p>
+                    <input type="text" name='name' onChange={onProfileChange} value={profile.name} placeholder='Your name' required />
+                    <input type="email" name='email' onChange={onProfileChange} value={profile.email} placeholder='Your email' required />
+                    {!verified
+                        ? <p className='profile-unverified'>Email not verified. <span onClick={resendVerification}>Resend verification email</span></p>
+                        : <></>
+                    }
+                    <button type='submit'>Save changes</button>
+                </form>
+                <form onSubmit={changePassword} className='profile-form'>
+                    <p className='title'>Change password</p>
+                    <input type="password" name='currentPassword' onChange={onPasswordChange} value={passwords.currentPassword} placeholder='Current password' required />
+                    <input type="password" name='newPassword' onChange={onPasswordChange} value={passwords.newPassword} placeholder='New password' minLength={8} required />
+                    <input type="password" name='confirmPassword' onChange={onPasswordChange} value={passwords.confirmPassword} placeholder='Confirm new password' minLength={8} required />
+                    <button type='submit'>Update password</button>
+                </form>
+            </div>
+            <div className="profile-addresses">
+                <p className='title'>Saved addresses</p>
+                {addresses.length === 0
+                    ? <p>No saved addresses yet, you can save one while placing an order.</p>
+                    : addresses.map((address) => (
+                        <div key={address._id} className='profile-address'>
+                            <div>
+                                <b>{address.label || address.firstName + " " + address.lastName}</b>
+                                {address.isDefault ? <span className='profile-address-default'>Default</span> : <></>}
+                                <p>{address.street + ", " + address.city + ", " + address.state + ", " + address.country + ", " + address.zipcode}</p>
+                                <p>{address.phone}</p>
+                            </div>
+                            <div className='profile-address-actions'>
+                                {!address.isDefault ? <span onClick={() => addressAction("default", address._id)}>Set as default</span> : <></>}
+                                <span onClick={() => addressAction("remove", address._id)}>Remove</span>
+                            </div>
+                        </div>
+                    ))
+                }
+            </div>
+        </div>
+    )
+}
+
+export default Profile
@@ -0,0 +1,59 @@
+import React, { useContext, useState } from 'react'
+import './ResetPassword.css'
+import axios from 'axios'
+import { useNavigate, useSearchParams } from 'react-router-dom'
+import { toast } from 'react-toastify'
+import { StoreContext } from '../../Context/StoreContext'
+
+const ResetPassword = ({ setShowLogin }) => {
+
+    const { url } = useContext(StoreContext)
+    const [searchParams] = useSearchParams();
+    const token = searchParams.get("token")
+    const navigate = useNavigate();
+
+    const [data, setData] = useState({
+        password: "",
+        confirmPassword: ""
+    })
+
+    const onChangeHandler = (event) => {
+        const name = event.target.name
+        const value = event.target.value
+        setData(data => ({ ...data, [name]: value }))
+    }
+
+    const onSubmit = async (e) => {
+        e.preventDefault()
+        if (data.password !== data.confirmPassword) {
+            return toast.error("Passwords do not match")
+        }
+        const response = await axios.post(url + "/api/user/reset-password", { token, password: data.password });
+        if (response.data.success) {
+            toast.success("Password updated, please login")
+            navigate('/')
+            setShowLogin(true)
+        }
+        else {
+            toast.error(response.data.message)
+        }
+    }
+
+    return (
+        <div className='reset-password'>
+            <form onSubmit={onSubmit} className='reset-password-container'>
+                <h2>Reset Password</h2>
+                {!token
+                    ? <p>This reset link is invalid. Request a new one from the login form.</p>
+                    : <>
+                        <input name='password' onChange={onChangeHandler} value={data.password} type="password" placeholder='New password' minLength={8} required />
+                        <input name='confirmPassword' onChange={onChangeHandler} value={data.confirmPassword} type="password" placeholder='Confirm new password' minLength={8} required />
+                        <button type='submit'>Update password</button>
+                    </>
+                }
+            </form>
+        </div>
+    )
+}
+
+export default ResetPassword
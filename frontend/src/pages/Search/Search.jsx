@@ -0,0 +1,92 @@
+import React, { useContext, useEffect, useState } from 'react'
+import './Search.css'
+import axios from 'axios'
+import { useSearchParams } from 'react-router-dom'
+import { StoreContext } from '../../Context/StoreContext'
+import FoodItem from '../../components/FoodItem/FoodItem'
+
+const PAGE_SIZE = 12;
+
+const Search = () => {
+
+    const { url, category_list } = useContext(StoreContext);
+    const [searchParams, setSearchParams] = useSearchParams();
+    const [results, setResults] = useState([]);
+    const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+
+    const q = searchParams.get("q") || "";
+    const category = searchParams.get("category") || "All";
+    const minPrice = searchParams.get("minPrice") || "";
+    const maxPrice = searchParams.get("maxPrice") || "";
+    const sort = searchParams.get("sort") || "";
+    const page = Number(searchParams.get("page")) || 1;
+
+    // every filter lives in the url so results can be shared and revisited
+    const updateParams = (changes) => {
+        const next = new URLSearchParams(searchParams);
+        Object.entries(changes).forEach(([key, value]) => {
+            if (value === "" || value === "All") {
+                next.delete(key);
+            }
+            else {
+                next.set(key, value);
+            }
+        });
+        if (!("page" in changes)) {
+            next.delete("page");
+        }
+        setSearchParams(next);
+    }
+
+    const fetchResults = async () => {
+        const params = { q, category, minPrice, maxPrice, sort, page, limit: PAGE_SIZE };
+        const response = await axios.get(url + "/api/food/list", { params });
+        if (response.data.success) {
+            setResults(response.data.data);
+            setPagination(response.data.pagination);
+        }
+    }
+
+    useEffect(() => {
+        fetchResults();
+    }, [searchParams])
+
+    return (
+        <div className='search'>
+            <h2>{q ? `Results for "${q}"` : "All dishes"}</h2>
+            <div className="search-filters">
+                <select value={category} onChange={(e) => updateParams({ category: e.target.value })}>
+                    <option value="All">All categories</option>
+                    {category_list.map((item) => <option key={item._id} value={item.name}>{item.name}</option>)}
+                </select>
+                <input type="number" min="0" placeholder='Min price' defaultValue={minPrice}
+                    onBlur={(e) => updateParams({ minPrice: e.target.value })} />
+                <input type="number" min="0" placeholder='Max price' defaultValue={maxPrice}
+                    onBlur={(e) => updateParams({ maxPrice: e.target.value })} />
+                <select value={sort} onChange={(e) => updateParams({ sort: e.target.value })}>
+                    <option value="">{q ? "Best match" : "Default"}</option>
+                    <option value="price_asc">Price: low to high</option>
+                    <option value="price_desc">Price: high to low</option>
+                    <option value="name">Name</option>
+                    <option value="newest">Newest</option>
+                </select>
+            </div>
+            <p className='search-count'>{pagination.total} {pagination.total === 1 ? "dish" : "dishes"} found</p>
+            <div className='food-display-list'>
+                {results.map((item) => (
+                    <FoodItem key={item._id} image={item.imageUrl} imageSrcSet={item.imageSrcSet} name={item.name} desc={item.description} price={item.price} id={item._id} available={item.available} stock={item.stock} optionGroups={item.optionGroups} dietaryTags={item.dietaryTags} allergens={item.allergens} nutrition={item.nutrition} rating={item.rating} availableNow={item.availableNow} schedule={item.schedule} />
+                ))}
+            </div>
+            {pagination.pages > 1
+                ? <div className="search-pagination">
+                    <button disabled={page <= 1} onClick={() => updateParams({ page: String(page - 1) })}>Previous</button>
+                    <p>Page {pagination.page} of {pagination.pages}</p>
+                    <button disabled={page >= pagination.pages} onClick={() => updateParams({ page: String(page + 1) })}>Next</button>
+                </div>
+                : <></>
+            }
+        </div>
+    )
+}
+
+export default Search
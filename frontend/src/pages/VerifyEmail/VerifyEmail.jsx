@@ -0,0 +1,37 @@
+import axios from 'axios';
+import React, { useContext, useEffect, useState } from 'react'
+import { useNavigate, useSearchParams } from 'react-router-dom'
+import { StoreContext } from '../../Context/StoreContext';
+import './VerifyEmail.css'
+
+const VerifyEmail = () => {
+  const { url } = useContext(StoreContext)
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token")
+  const [message, setMessage] = useState("");
+
+  const navigate = useNavigate();
+
+  const verifyEmail = async () => {
+    const response = await axios.post(url + "/api/user/verify-email", { token });
+    setMessage(response.data.message);
+  }
+
+  useEffect(() => {
+    verifyEmail();
+  }, [])
+
+  return (
+    <div className='verify-email'>
+      {!message
+        ? <div className="spinner"></div>
+        : <div className='verify-email-result'>
+            <h2>{message}</h2>
+            <button onClick={() => navigate('/')}>Continue</button>
+          </div>
+      }
+    </div>
+  )
+}
+
+export default VerifyEmail
@@ -0,0 +1,27 @@
+// cart lines are keyed by the item id alone, or "itemId:optionId,optionId"
+// when options are chosen, the same format the backend uses
+export const buildCartKey = (itemId, optionIds = []) => {
+    return optionIds.length > 0 ? `${itemId}:${[...optionIds].sort().join(",")}` : itemId;
+}
+
+export const parseCartKey = (key) => {
+    const [itemId, optionIds] = key.split(":");
+    return { itemId, optionIds: optionIds ? optionIds.split(",") : [] };
+}
+
+// chosen options of a line with their price, options removed since are left out
+export const resolveOptions = (food, optionIds) => {
+    const options = [];
+    let unitPrice = food.price;
+    for (const group of food.optionGroups || []) {
+        for (const option of group.options) {
+            if (optionIds.includes(option._id)) {
+                options.push({ optionId: option._id, group: group.name, name: option.name, priceDelta: option.priceDelta });
+                unitPrice += option.priceDelta;
+            }
+        }
+    }
+    return { options, unitPrice };
+}
+
+export const formatOptions = (options) => options.map((option) => option.name).join(", ");
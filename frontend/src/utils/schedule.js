@@ -0,0 +1,19 @@
+const weekdays = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// "Mon-Fri 07:00-11:00, Sat 09:00-12:00", consecutive days are joined into a range
+export const formatSchedule = (schedule = []) => {
+    return schedule.map((window) => {
+        const ranges = [];
+        window.days.forEach((day) => {
+            const last = ranges[ranges.length - 1];
+            if (last && last[1] === day - 1) {
+                last[1] = day;
+            }
+            else {
+                ranges.push([day, day]);
+            }
+        });
+        const days = ranges.map(([from, to]) => from === to ? weekdays[from] : `${weekdays[from]}-${weekdays[to]}`).join(", ");
+        return `${days} ${window.start}-${window.end}`;
+    }).join(", ");
+}